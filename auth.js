@@ -3,14 +3,332 @@
  * Implementa MSAL.js para autenticación OAuth 2.0
  */
 
+// Endpoints de autenticación y Graph de cada nube de Microsoft
+const NATIONAL_CLOUDS = {
+    AzurePublic: {
+        cloudInstance: 'https://login.microsoftonline.com',
+        graphBaseUrl: 'https://graph.microsoft.com'
+    },
+    AzureUSGovernment: {
+        cloudInstance: 'https://login.microsoftonline.us',
+        graphBaseUrl: 'https://graph.microsoft.us'
+    },
+    AzureUSGovernmentDoD: {
+        cloudInstance: 'https://login.microsoftonline.us',
+        graphBaseUrl: 'https://dod-graph.microsoft.us'
+    },
+    AzureChina: {
+        cloudInstance: 'https://login.chinacloudapi.cn',
+        graphBaseUrl: 'https://microsoftgraph.chinacloudapi.cn'
+    }
+};
+
+// Valores por defecto de la configuración en tiempo de ejecución.
+// config.json debe aportar clientId y tenantId; el resto es opcional y puede
+// sobrescribirse por entorno en config.json -> environments[<hostname>].
+// cloudInstance y graphBaseUrl se derivan de cloud salvo que se indiquen
+// explícitamente (por ejemplo, graphBaseUrl apuntando a un servidor simulado local).
+// La CSP de las páginas es estática y solo admite los hosts de las nubes conocidas:
+// otro cloudInstance o graphBaseUrl debe añadirse también a su connect-src y frame-src.
+// interactionMode elige entre redirección y ventana emergente para el inicio de sesión
+// y el consentimiento; si el navegador bloquea la ventana se recurre a la redirección.
+// signInTestAuthContext (opcional, c1-c99) es el contexto de autenticación que el administrador
+// asocia en Acceso condicional a una fuerza de autenticación sin contraseña; con él, el inicio de
+// sesión de prueba del asistente solo se completa si Entra exige y acepta ese tipo de método.
+// tapSignInUrl (opcional) es el enlace del código QR y de la hoja impresa del TAP;
+// por defecto, el asistente de esta aplicación.
+const DEFAULT_CONFIG = {
+    cloud: 'AzurePublic',
+    redirectUri: window.location.origin,
+    postLogoutRedirectUri: window.location.origin,
+    scopes: ['User.Read'],
+    interactionMode: 'redirect'
+};
+
+// Modos de interacción admitidos para el inicio de sesión y el consentimiento
+const INTERACTION_MODES = ['redirect', 'popup'];
+
+// Códigos de MSAL que indican que el navegador bloqueó la ventana emergente
+const POPUP_BLOCKED_ERRORS = ['popup_window_error', 'empty_window_error'];
+
+// Estado de la página guardado antes de una redirección para restaurarlo a la vuelta
+const INTERACTION_STATE_KEY = 'interactionState';
+
+// Renovación de la sesión: se renueva antes de que caduque el token y,
+// si no es posible sin interacción, se avisa al usuario con ese margen
+const SESSION_RENEWAL_MARGIN_MS = 5 * 60 * 1000;
+const SESSION_RETRY_DELAY_MS = 60 * 1000;
+
+// Clave de localStorage para avisar a las demás pestañas de un cierre de sesión.
+// La caché de MSAL vive en sessionStorage, que no se comparte entre pestañas.
+const SESSION_BROADCAST_KEY = 'sessionBroadcast';
+
+// Errores de MSAL que indican que la sesión caducó o fue revocada (no falta de consentimiento)
+const SESSION_EXPIRED_PATTERN = /login_required|no_tokens_found|AADSTS700082|AADSTS70043|AADSTS50133|AADSTS50173/i;
+
+// Permisos que necesita cada funcionalidad. El inicio de sesión solo pide el perfil;
+// el resto se solicita de forma incremental la primera vez que se usa la funcionalidad.
+// La descripción que se muestra al usuario está en los catálogos (auth.scopes.<conjunto>).
+const SCOPE_SETS = {
+    profile: {
+        scopes: ['User.Read']
+    },
+    readOwnMethods: {
+        scopes: ['UserAuthenticationMethod.Read']
+    },
+    manageOwnMethods: {
+        scopes: ['UserAuthenticationMethod.ReadWrite']
+    },
+    readPolicy: {
+        scopes: ['Policy.Read.All']
+    },
+    manageOthersTAP: {
+        scopes: ['User.Read.All', 'UserAuthenticationMethod.ReadWrite.All']
+    }
+};
+
+// Ámbitos OpenID que no pertenecen a ningún recurso
+const OIDC_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TENANT_DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+// Identificadores de contexto de autenticación de Acceso condicional
+const AUTH_CONTEXT_PATTERN = /^c([1-9]|[1-9][0-9])$/;
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(window.i18n.t('auth.config.invalid', { errors: errors.join('; ') }));
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+class ConsentRequiredError extends Error {
+    constructor(scopeSet) {
+        super(window.i18n.t('auth.consent.required', { feature: window.i18n.t(`auth.scopes.${scopeSet}`) }));
+        this.name = 'ConsentRequiredError';
+        this.scopeSet = scopeSet;
+    }
+}
+
+class SessionExpiredError extends Error {
+    constructor() {
+        super(window.i18n.t('auth.session.expiredError'));
+        this.name = 'SessionExpiredError';
+    }
+}
+
 class AuthManager {
     constructor() {
-        this.msalConfig = {
+        this.config = null;
+        this.msalConfig = null;
+        this.loginRequest = null;
+
+        this.msalInstance = null;
+        this.currentUser = null;
+        this.isAuthenticated = false;
+        this.restoredState = null;
+
+        this.sessionTimer = null;
+        this.tokenExpiresOn = null;
+        this.sessionLost = false;
+        this.listenForSessionChanges();
+
+        // Se resuelve cuando la configuración y MSAL están listos
+        this.ready = this.init();
+    }
+
+    async loadConfig() {
+        let fileConfig;
+        try {
+            const response = await fetch('config.json', { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            fileConfig = await response.json();
+        } catch (error) {
+            throw new ConfigError([window.i18n.t('auth.config.loadFailed', { message: error.message })]);
+        }
+
+        // Aplicar la configuración específica del entorno actual
+        const { environments, ...baseConfig } = fileConfig;
+        const overrides = (environments && environments[window.location.hostname]) || {};
+
+        const merged = { ...DEFAULT_CONFIG, ...baseConfig, ...overrides };
+        const cloud = NATIONAL_CLOUDS[merged.cloud];
+        if (!cloud) {
+            throw new ConfigError([window.i18n.t('auth.config.cloud', { values: Object.keys(NATIONAL_CLOUDS).join(', ') })]);
+        }
+
+        const config = {
+            cloudInstance: cloud.cloudInstance,
+            graphBaseUrl: cloud.graphBaseUrl,
+            // Los tokens siempre se emiten para el Graph de la nube, aunque las llamadas vayan a otro host
+            graphResource: cloud.graphBaseUrl,
+            ...merged
+        };
+        this.validateConfig(config);
+
+        config.cloudInstance = config.cloudInstance.replace(/\/+$/, '');
+        config.graphBaseUrl = config.graphBaseUrl.replace(/\/+$/, '');
+        return config;
+    }
+
+    validateConfig(config) {
+        const errors = [];
+
+        if (!config.clientId || !GUID_PATTERN.test(config.clientId)) {
+            errors.push(window.i18n.t('auth.config.clientId'));
+        }
+
+        if (!config.tenantId || !(GUID_PATTERN.test(config.tenantId) || TENANT_DOMAIN_PATTERN.test(config.tenantId))) {
+            errors.push(window.i18n.t('auth.config.tenantId'));
+        }
+
+        ['cloudInstance', 'redirectUri', 'postLogoutRedirectUri', 'graphBaseUrl'].forEach(key => {
+            if (!this.isValidUrl(config[key])) {
+                errors.push(window.i18n.t('auth.config.url', { key }));
+            }
+        });
+
+        if (!Array.isArray(config.scopes) || config.scopes.length === 0 ||
+            !config.scopes.every(scope => typeof scope === 'string' && scope.trim())) {
+            errors.push(window.i18n.t('auth.config.scopes'));
+        }
+
+        if (!INTERACTION_MODES.includes(config.interactionMode)) {
+            errors.push(window.i18n.t('auth.config.interactionMode', { values: INTERACTION_MODES.join(', ') }));
+        }
+
+        if (config.signInTestAuthContext !== undefined && !AUTH_CONTEXT_PATTERN.test(config.signInTestAuthContext)) {
+            errors.push(window.i18n.t('auth.config.signInTestAuthContext'));
+        }
+
+        // Enlace de inicio de sesión de la hoja de entrega del TAP (opcional)
+        if (config.tapSignInUrl !== undefined && !this.isValidUrl(config.tapSignInUrl)) {
+            errors.push(window.i18n.t('auth.config.url', { key: 'tapSignInUrl' }));
+        }
+
+        // Pasos del wizard (opcional): ids registrados en window.wizardSteps
+        if (config.wizardSteps !== undefined && (!Array.isArray(config.wizardSteps) || config.wizardSteps.length === 0 ||
+            !config.wizardSteps.every(step => typeof step === 'string' && step.trim()))) {
+            errors.push(window.i18n.t('auth.config.wizardSteps'));
+        }
+
+        this.validateCsp(config, errors);
+
+        if (errors.length > 0) {
+            throw new ConfigError(errors);
+        }
+    }
+
+    validateCsp(config, errors) {
+        // Sin este aviso el navegador bloquearía el inicio de sesión o Graph con un error de CSP poco claro
+        const meta = document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+        if (!meta) return;
+
+        const directives = this.parseCsp(meta.getAttribute('content') || '');
+        const checks = [
+            ['cloudInstance', ['connect-src', 'frame-src']],
+            ['graphBaseUrl', ['connect-src']]
+        ];
+
+        checks.forEach(([key, names]) => {
+            if (!this.isValidUrl(config[key])) return;
+
+            const origin = new URL(config[key]).origin;
+            const blocked = names.filter(name => !this.isAllowedByCsp(directives[name] || directives['default-src'], origin));
+            if (blocked.length > 0) {
+                errors.push(window.i18n.t('auth.config.csp', { key, origin, directives: blocked.join(', ') }));
+            }
+        });
+    }
+
+    parseCsp(policy) {
+        return policy.split(';').reduce((directives, directive) => {
+            const [name, ...sources] = directive.trim().split(/\s+/);
+            if (name) {
+                directives[name.toLowerCase()] = sources;
+            }
+            return directives;
+        }, {});
+    }
+
+    isAllowedByCsp(sources, origin) {
+        if (!sources) return true;
+        const url = new URL(origin);
+        return sources.some(source => this.matchesCspSource(source.toLowerCase(), url));
+    }
+
+    matchesCspSource(source, url) {
+        if (source === "'self'") {
+            return url.origin === window.location.origin;
+        }
+        if (source === '*') {
+            return url.protocol === 'https:' || url.protocol === 'http:';
+        }
+
+        // Fuente de esquema, como https:
+        if (/^[a-z][a-z0-9+.-]*:$/.test(source)) {
+            return this.matchesCspScheme(source, url.protocol);
+        }
+
+        // Fuente de host: [esquema://]host[:puerto][/ruta]; la ruta no restringe un origen
+        const match = source.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*|(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d+|\*))?(?:\/.*)?$/);
+        if (!match) return false;
+
+        const [, scheme, host, port] = match;
+        const schemeMatches = this.matchesCspScheme(scheme ? `${scheme}:` : window.location.protocol, url.protocol);
+
+        // *.dominio admite cualquier subdominio, pero no el propio dominio
+        const hostMatches = host === '*' ||
+            (host.startsWith('*.') ? url.hostname.endsWith(host.slice(1)) : url.hostname === host);
+
+        const defaultPort = { 'http:': '80', 'https:': '443' }[url.protocol];
+        const portMatches = port === '*' || (port ? port === (url.port || defaultPort) : !url.port || url.port === defaultPort);
+
+        return schemeMatches && hostMatches && portMatches;
+    }
+
+    matchesCspScheme(sourceScheme, protocol) {
+        // Una fuente http: también admite https:
+        return protocol === sourceScheme || (sourceScheme === 'http:' && protocol === 'https:');
+    }
+
+    isValidUrl(value) {
+        try {
+            const url = new URL(value);
+            // http solo se admite en desarrollo local
+            return url.protocol === 'https:' ||
+                (url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    qualifyScopes(scopes) {
+        // Fuera de la nube pública los permisos de Graph deben indicar el recurso de esa nube
+        if (this.config.cloud === 'AzurePublic') {
+            return scopes;
+        }
+
+        return scopes.map(scope =>
+            scope.includes('://') || OIDC_SCOPES.includes(scope)
+                ? scope
+                : `${this.config.graphResource}/${scope}`
+        );
+    }
+
+    buildMsalConfig(config) {
+        return {
             auth: {
-                clientId: '8dcec823-8928-41f7-a9b5-e85db1dc6c12', // Reemplazar con Client ID real
-                authority: 'https://login.microsoftonline.com/9ff87f7c-8358-46b5-88bc-d73c09ce789f', // Reemplazar con Tenant ID
-                redirectUri: window.location.origin,
-                postLogoutRedirectUri: window.location.origin
+                clientId: config.clientId,
+                authority: `${config.cloudInstance}/${config.tenantId}`,
+                redirectUri: config.redirectUri,
+                postLogoutRedirectUri: config.postLogoutRedirectUri,
+                // CP1: la aplicación sabe responder a desafíos de claims (evaluación continua de acceso)
+                clientCapabilities: ['CP1']
             },
             cache: {
                 cacheLocation: 'sessionStorage',
@@ -40,126 +358,612 @@ class AuthManager {
                 }
             }
         };
-
-        this.loginRequest = {
-            scopes: ['User.Read', 'UserAuthenticationMethod.ReadWrite.All']
-        };
-
-        this.msalInstance = null;
-        this.currentUser = null;
-        this.isAuthenticated = false;
-
-        this.init();
     }
 
     async init() {
         try {
+            // Cargar y validar la configuración antes de crear MSAL
+            this.config = await this.loadConfig();
+            this.msalConfig = this.buildMsalConfig(this.config);
+            this.loginRequest = {
+                scopes: this.qualifyScopes(this.config.scopes)
+            };
+            this.graph = new GraphClient(this, this.config.graphBaseUrl);
+
             // Inicializar MSAL
             this.msalInstance = new msal.PublicClientApplication(this.msalConfig);
             
             // Manejar redirección de login
             await this.msalInstance.initialize();
             
-            // Verificar si hay una sesión activa
+            // Procesar la vuelta de una redirección antes de dar la aplicación por lista,
+            // para que los módulos vean ya la sesión iniciada
+            let redirectResponse = null;
+            try {
+                redirectResponse = await this.msalInstance.handleRedirectPromise();
+                sessionStorage.removeItem('pendingConsent');
+            } catch (error) {
+                console.error('Error en handleRedirectPromise:', error);
+                const pendingConsent = sessionStorage.getItem('pendingConsent');
+                sessionStorage.removeItem('pendingConsent');
+
+                if (this.isConsentError(error)) {
+                    this.showConsentDenied(error, pendingConsent);
+                } else {
+                    this.showError(window.i18n.t('auth.errors.authentication', { message: error.message }));
+                }
+            }
+
+            // Verificar si hay una sesión activa, respetando la última cuenta elegida
             const accounts = this.msalInstance.getAllAccounts();
-            if (accounts.length > 0) {
-                this.msalInstance.setActiveAccount(accounts[0]);
-                this.currentUser = accounts[0];
-                this.isAuthenticated = true;
-                this.updateUI();
+            if (redirectResponse && redirectResponse.account) {
+                this.setCurrentAccount(redirectResponse.account);
+            } else if (accounts.length > 0) {
+                const savedAccountId = localStorage.getItem('activeAccountId');
+                const account = accounts.find(item => item.homeAccountId === savedAccountId) || accounts[0];
+                this.setCurrentAccount(account);
             }
 
-            // Manejar redirecciones
-            this.msalInstance.handleRedirectPromise().then(response => {
-                if (response) {
-                    this.msalInstance.setActiveAccount(response.account);
-                    this.currentUser = response.account;
-                    this.isAuthenticated = true;
-                    this.updateUI();
-                    window.location.href = 'index.html';
-                }
-            }).catch(error => {
-                console.error('Error en handleRedirectPromise:', error);
-                this.showError('Error de autenticación: ' + error.message);
-            });
+            this.loadInteractionState();
 
         } catch (error) {
+            if (error instanceof ConfigError) {
+                console.error('Error de configuración:', error);
+                this.showSetupError(error.errors);
+                return;
+            }
             console.error('Error inicializando MSAL:', error);
-            this.showError('Error al inicializar la aplicación');
+            this.showError(window.i18n.t('common.initError'));
         }
     }
 
-    async login() {
+    async login(options = {}) {
         try {
+            await this.ready;
             if (!this.msalInstance) {
-                await this.init();
+                throw new Error(window.i18n.t('auth.errors.notConfigured'));
             }
             
-            await this.msalInstance.loginRedirect(this.loginRequest);
+            // select_account permite iniciar sesión con una cuenta distinta de la cacheada
+            const request = { ...this.loginRequest };
+            if (options.selectAccount) {
+                request.prompt = 'select_account';
+            }
+            if (options.loginHint) {
+                request.loginHint = options.loginHint;
+            }
+
+            const response = await this.interact('login', request);
+            if (response) {
+                this.handlePopupLogin(response.account);
+            }
         } catch (error) {
+            if (this.isUserCancelled(error)) {
+                return;
+            }
             console.error('Error en login:', error);
-            this.showError('Error al iniciar sesión: ' + error.message);
+            this.showError(window.i18n.t('auth.errors.login', { message: error.message }), {
+                actions: [{ label: window.i18n.t('common.retry'), run: () => this.login(options) }]
+            });
+        }
+    }
+
+    async verifySignIn() {
+        await this.ready;
+        if (!this.msalInstance || !this.currentUser) {
+            throw new Error(window.i18n.t('auth.errors.notConfigured'));
+        }
+
+        // Inicio de sesión real en Entra con la cuenta activa: prompt=login obliga a autenticarse
+        // de nuevo. Siempre en ventana emergente, porque una redirección perdería el resultado
+        const request = {
+            scopes: this.getScopes('profile'),
+            account: this.currentUser,
+            loginHint: this.currentUser.username,
+            prompt: 'login'
+        };
+
+        // El token no indica con qué método se autenticó el usuario. Con un contexto de autenticación
+        // Acceso condicional exige la fuerza de autenticación asociada y Entra no emite el token sin ella
+        const authContext = this.config.signInTestAuthContext;
+        if (authContext) {
+            request.claims = JSON.stringify({ access_token: { acrs: { essential: true, value: authContext } } });
+        }
+
+        const response = await this.msalInstance.acquireTokenPopup(request);
+        if (!response.account || response.account.homeAccountId !== this.currentUser.homeAccountId) {
+            throw new Error(window.i18n.t('auth.errors.verifyOtherAccount'));
         }
+
+        return { methodEnforced: !!authContext };
     }
 
     async logout() {
         try {
             if (this.msalInstance) {
-                await this.msalInstance.logoutRedirect();
+                // Solo se cierra la cuenta activa; las demás siguen disponibles en el selector
+                localStorage.removeItem('activeAccountId');
+                this.stopSessionMonitor();
+                this.broadcastLogout(this.currentUser);
+                await this.msalInstance.logoutRedirect({ account: this.currentUser });
             }
         } catch (error) {
             console.error('Error en logout:', error);
-            this.showError('Error al cerrar sesión');
+            this.showError(window.i18n.t('auth.errors.logout'));
+        }
+    }
+
+    async interact(type, request, scopeSet = null) {
+        // Ventana emergente si está configurada; si el navegador la bloquea, redirección.
+        // Un desafío de claims llega a mitad de una operación de Graph que no se repetiría
+        // tras una redirección, así que se resuelve siempre en ventana emergente
+        const popupOnly = !!request.claims;
+        if (popupOnly || this.config.interactionMode === 'popup') {
+            try {
+                return type === 'login'
+                    ? await this.msalInstance.loginPopup(request)
+                    : await this.msalInstance.acquireTokenPopup(request);
+            } catch (error) {
+                if (!this.isPopupBlocked(error)) {
+                    throw error;
+                }
+                if (popupOnly) {
+                    throw new Error(window.i18n.t('auth.errors.claimsPopupBlocked'));
+                }
+                console.warn('Ventana emergente bloqueada; se continúa con redirección');
+            }
+        }
+
+        this.saveInteractionState();
+        if (scopeSet) {
+            sessionStorage.setItem('pendingConsent', scopeSet);
+        }
+
+        if (type === 'login') {
+            await this.msalInstance.loginRedirect(request);
+        } else {
+            await this.msalInstance.acquireTokenRedirect(request);
+        }
+
+        // La página navega fuera; la operación se retoma tras la redirección
+        return new Promise(() => {});
+    }
+
+    isPopupBlocked(error) {
+        return !!error && POPUP_BLOCKED_ERRORS.includes(error.errorCode);
+    }
+
+    isUserCancelled(error) {
+        return !!error && error.errorCode === 'user_cancelled';
+    }
+
+    handlePopupLogin(account) {
+        const previousAccount = this.currentUser;
+        const wasAuthenticated = this.isAuthenticated;
+        this.setCurrentAccount(account);
+        this.hideAuthRequired();
+
+        // Sin redirección la página sigue viva: los módulos cargan los datos de la sesión
+        if (previousAccount && previousAccount.homeAccountId !== account.homeAccountId) {
+            window.dispatchEvent(new CustomEvent('auth:accountchanged', { detail: { account } }));
+        }
+        if (!wasAuthenticated) {
+            window.dispatchEvent(new CustomEvent('auth:signedin', { detail: { account } }));
         }
     }
 
-    async getAccessToken() {
+    saveInteractionState() {
+        const state = {
+            page: window.location.pathname,
+            forms: this.collectFormValues(),
+            modules: {}
+        };
+
+        // Cada módulo añade el estado propio que quiera recuperar (paso del wizard, usuario seleccionado...)
+        window.dispatchEvent(new CustomEvent('auth:beforeredirect', { detail: state }));
+        sessionStorage.setItem(INTERACTION_STATE_KEY, JSON.stringify(state));
+    }
+
+    loadInteractionState() {
+        this.restoredState = null;
+
+        const saved = sessionStorage.getItem(INTERACTION_STATE_KEY);
+        if (!saved) return;
+
         try {
-            if (!this.msalInstance || !this.currentUser) {
-                throw new Error('No hay sesión activa');
+            const state = JSON.parse(saved);
+            // MSAL vuelve a la página que inició la interacción; en otra página el estado no aplica
+            if (state.page !== window.location.pathname) return;
+
+            sessionStorage.removeItem(INTERACTION_STATE_KEY);
+            this.restoredState = state;
+
+            // Los selectores que se rellenan al cargar la página deben existir antes de restaurar
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => this.restoreFormValues(state.forms || {}));
+            } else {
+                this.restoreFormValues(state.forms || {});
             }
+        } catch (error) {
+            console.error('Error restaurando el estado tras la redirección:', error);
+            sessionStorage.removeItem(INTERACTION_STATE_KEY);
+        }
+    }
+
+    takeRestoredState(moduleName) {
+        // El estado de cada módulo se entrega una sola vez
+        if (!this.restoredState || !this.restoredState.modules) {
+            return null;
+        }
 
+        const state = this.restoredState.modules[moduleName] || null;
+        delete this.restoredState.modules[moduleName];
+        return state;
+    }
+
+    collectFormValues() {
+        const forms = {};
+        document.querySelectorAll('form[id]').forEach(form => {
+            const values = {};
+            Array.from(form.elements).forEach(field => {
+                if (!field.name || ['password', 'file', 'submit', 'button'].includes(field.type)) return;
+                values[field.name] = field.type === 'checkbox' ? field.checked : field.value;
+            });
+            forms[form.id] = values;
+        });
+        return forms;
+    }
+
+    restoreFormValues(forms) {
+        Object.entries(forms).forEach(([formId, values]) => {
+            const form = document.getElementById(formId);
+            if (!form) return;
+
+            Object.entries(values).forEach(([name, value]) => {
+                const field = form.elements.namedItem(name);
+                if (!field || field instanceof RadioNodeList) return;
+
+                if (field.type === 'checkbox') {
+                    field.checked = !!value;
+                } else {
+                    field.value = value;
+                }
+                field.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+        });
+    }
+
+    setCurrentAccount(account) {
+        this.msalInstance.setActiveAccount(account);
+        this.currentUser = account;
+        this.isAuthenticated = true;
+        this.sessionLost = false;
+        localStorage.setItem('activeAccountId', account.homeAccountId);
+        this.hideSessionWarning();
+        this.updateUI();
+        this.renewSession();
+        this.loadPreferredLanguage();
+    }
+
+    async loadPreferredLanguage() {
+        // El idioma preferido del perfil de Entra se usa salvo que el usuario haya elegido otro en el portal
+        try {
+            const profile = await this.getUserProfile({ interactive: false });
+            window.i18n.applyProfileLanguage(profile.preferredLanguage);
+        } catch (error) {
+            // Sin perfil se mantiene el idioma del navegador
+        }
+    }
+
+    async renewSession(forceRefresh = false) {
+        if (!this.msalInstance || !this.currentUser || this.sessionLost) return;
+
+        const account = this.currentUser;
+        try {
             const response = await this.msalInstance.acquireTokenSilent({
-                scopes: this.loginRequest.scopes,
-                account: this.currentUser
+                ...this.loginRequest,
+                account,
+                forceRefresh
             });
 
+            // La cuenta pudo cambiar mientras se renovaba
+            if (this.currentUser !== account) return;
+
+            this.hideSessionWarning();
+            this.scheduleSessionTimer(
+                () => this.renewSession(true),
+                response.expiresOn.getTime() - Date.now() - SESSION_RENEWAL_MARGIN_MS
+            );
+            this.tokenExpiresOn = response.expiresOn;
+        } catch (error) {
+            if (this.currentUser !== account) return;
+
+            if (error instanceof msal.InteractionRequiredAuthError) {
+                this.warnSessionExpiring();
+                return;
+            }
+
+            // Fallo transitorio (por ejemplo, sin red): se vuelve a intentar más tarde
+            console.warn('No se pudo renovar la sesión; se reintentará:', error);
+            this.scheduleSessionTimer(() => this.renewSession(true), SESSION_RETRY_DELAY_MS);
+        }
+    }
+
+    scheduleSessionTimer(callback, delay) {
+        clearTimeout(this.sessionTimer);
+        this.sessionTimer = setTimeout(callback, Math.max(delay, 0));
+    }
+
+    stopSessionMonitor() {
+        clearTimeout(this.sessionTimer);
+        this.sessionTimer = null;
+        this.tokenExpiresOn = null;
+        this.hideSessionWarning();
+    }
+
+    warnSessionExpiring() {
+        // Sin token vigente no hay margen para avisar
+        const remaining = this.tokenExpiresOn ? this.tokenExpiresOn.getTime() - Date.now() : 0;
+        if (remaining <= 0) {
+            this.handleSessionLost('expired');
+            return;
+        }
+
+        this.showSessionWarning(this.tokenExpiresOn);
+        window.dispatchEvent(new CustomEvent('auth:sessionexpiring', {
+            detail: { account: this.currentUser, expiresOn: this.tokenExpiresOn }
+        }));
+        this.scheduleSessionTimer(() => this.handleSessionLost('expired'), remaining);
+    }
+
+    handleSessionLost(reason) {
+        if (this.sessionLost) return;
+
+        const account = this.currentUser;
+        this.sessionLost = true;
+        this.isAuthenticated = false;
+        this.stopSessionMonitor();
+
+        // Los módulos detienen lo que dependa de la sesión; el aviso para iniciarla de nuevo es común
+        window.dispatchEvent(new CustomEvent('auth:sessionlost', { detail: { reason, account } }));
+        this.showAuthRequired(reason);
+    }
+
+    showAuthRequired(reason = null) {
+        const authModal = document.getElementById('authRequiredModal');
+        const reasonElement = document.getElementById('authRequiredReason');
+
+        if (reasonElement) {
+            reasonElement.textContent = reason ? this.describeSessionLoss(reason) : '';
+            reasonElement.classList.toggle('hidden', !reason);
+        }
+
+        if (authModal) {
+            authModal.classList.remove('hidden');
+        }
+    }
+
+    hideAuthRequired() {
+        const authModal = document.getElementById('authRequiredModal');
+        if (authModal) {
+            authModal.classList.add('hidden');
+        }
+    }
+
+    getErrorActions(error, retry) {
+        // Acciones de los avisos de error: si Graph rechazó el token solo sirve volver a iniciar sesión
+        if (error instanceof GraphAuthError) {
+            return [{
+                label: window.i18n.t('auth.session.signInAgain'),
+                run: () => this.login({ loginHint: this.currentUser && this.currentUser.username })
+            }];
+        }
+        // Las tareas en segundo plano no piden consentimiento: lo hace el usuario desde el aviso
+        if (error instanceof ConsentRequiredError) {
+            return [{
+                label: window.i18n.t('auth.consent.grant'),
+                run: () => this.getAccessToken(error.scopeSet)
+                    .then(() => retry && retry())
+                    .catch(consentError => console.error('Error solicitando consentimiento:', consentError))
+            }];
+        }
+        return retry ? [{ label: window.i18n.t('common.retry'), run: retry }] : [];
+    }
+
+    describeSessionLoss(reason) {
+        return reason === 'logout'
+            ? window.i18n.t('auth.session.loggedOutElsewhere')
+            : window.i18n.t('auth.session.expired');
+    }
+
+    isSessionExpiredError(error) {
+        const details = `${error.errorCode || ''} ${error.errorMessage || error.message || ''}`;
+        return SESSION_EXPIRED_PATTERN.test(details);
+    }
+
+    broadcastLogout(account) {
+        if (!account) return;
+
+        // Un valor distinto en cada aviso garantiza que se dispare el evento storage
+        localStorage.setItem(SESSION_BROADCAST_KEY, JSON.stringify({
+            type: 'logout',
+            homeAccountId: account.homeAccountId,
+            at: Date.now()
+        }));
+    }
+
+    listenForSessionChanges() {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== SESSION_BROADCAST_KEY || !event.newValue) return;
+
+            try {
+                const message = JSON.parse(event.newValue);
+                if (message.type === 'logout') {
+                    this.handleRemoteLogout(message.homeAccountId);
+                }
+            } catch (error) {
+                console.error('Aviso de sesión no válido:', error);
+            }
+        });
+
+        // Los temporizadores se retrasan en pestañas en segundo plano: comprobar al volver
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'visible' || !this.isAuthenticated || !this.tokenExpiresOn) return;
+
+            if (this.tokenExpiresOn.getTime() - Date.now() <= SESSION_RENEWAL_MARGIN_MS) {
+                this.renewSession(true);
+            }
+        });
+    }
+
+    async handleRemoteLogout(homeAccountId) {
+        if (!this.msalInstance) return;
+
+        const account = this.getAccounts().find(item => item.homeAccountId === homeAccountId);
+        if (!account) return;
+
+        // Olvidar la cuenta también en esta pestaña sin navegar fuera de la página
+        if (typeof this.msalInstance.clearCache === 'function') {
+            await this.msalInstance.clearCache({ account });
+        }
+
+        if (this.currentUser && this.currentUser.homeAccountId === homeAccountId) {
+            localStorage.removeItem('activeAccountId');
+            this.handleSessionLost('logout');
+        }
+        this.renderAccountPicker();
+    }
+
+    showSessionWarning(expiresOn) {
+        // Aviso permanente hasta renovar la sesión; volver a mostrarlo actualiza la hora
+        this.sessionWarningExpiresOn = expiresOn;
+        window.notifications.warning(window.i18n.t('auth.session.expiring', { time: window.i18n.formatTime(expiresOn) }), {
+            key: 'sessionWarning',
+            persistent: true,
+            actions: [{
+                label: window.i18n.t('auth.session.renew'),
+                run: () => this.login({ loginHint: this.currentUser && this.currentUser.username })
+            }]
+        });
+    }
+
+    handleLocaleChanged() {
+        this.updateUI();
+        if (window.notifications.has('sessionWarning') && this.sessionWarningExpiresOn) {
+            this.showSessionWarning(this.sessionWarningExpiresOn);
+        }
+    }
+
+    hideSessionWarning() {
+        window.notifications.dismiss('sessionWarning');
+    }
+
+    getAccounts() {
+        return this.msalInstance ? this.msalInstance.getAllAccounts() : [];
+    }
+
+    switchAccount(homeAccountId) {
+        const account = this.getAccounts().find(item => item.homeAccountId === homeAccountId);
+        if (!account) {
+            this.showError(window.i18n.t('auth.errors.accountUnavailable'));
+            return;
+        }
+
+        if (this.currentUser && this.currentUser.homeAccountId === homeAccountId) {
+            return;
+        }
+
+        this.setCurrentAccount(account);
+
+        // Los módulos recargan sus datos para la nueva cuenta
+        window.dispatchEvent(new CustomEvent('auth:accountchanged', { detail: { account } }));
+    }
+
+    getAccountStorageKey(baseKey) {
+        // Progreso e historial se guardan por cuenta para no mezclar datos entre cuentas
+        if (!this.currentUser) {
+            return baseKey;
+        }
+
+        const accountKey = `${baseKey}:${this.currentUser.homeAccountId}`;
+
+        // Los datos guardados sin cuenta por versiones anteriores no indican a qué cuenta pertenecen: se descartan
+        localStorage.removeItem(baseKey);
+
+        return accountKey;
+    }
+
+    getScopes(scopeSet) {
+        const definition = SCOPE_SETS[scopeSet];
+        if (!definition) {
+            throw new Error(window.i18n.t('auth.errors.unknownScopeSet', { scopeSet }));
+        }
+        return this.qualifyScopes(definition.scopes);
+    }
+
+    async getAccessToken(scopeSet = 'profile', options = {}) {
+        // claims: desafío de Acceso condicional devuelto por Graph que el nuevo token debe satisfacer
+        const { interactive = true, claims = null } = options;
+
+        try {
+            if (this.sessionLost) {
+                throw new SessionExpiredError();
+            }
+
+            if (!this.msalInstance || !this.currentUser) {
+                throw new Error(window.i18n.t('auth.errors.noSession'));
+            }
+
+            const response = await this.msalInstance.acquireTokenSilent(this.buildTokenRequest(scopeSet, claims));
+
             return response.accessToken;
         } catch (error) {
             console.error('Error obteniendo token:', error);
             
-            // Intentar con redirección interactiva
+            // Intentar con redirección interactiva para obtener el consentimiento que falta
             if (error instanceof msal.InteractionRequiredAuthError) {
+                // Sesión caducada: se avisa a la página en lugar de saltar a una interacción a mitad de operación
+                if (this.isSessionExpiredError(error)) {
+                    this.handleSessionLost('expired');
+                    throw new SessionExpiredError();
+                }
+
+                if (!interactive) {
+                    throw new ConsentRequiredError(scopeSet);
+                }
+
                 try {
-                    const response = await this.msalInstance.acquireTokenRedirect({
-                        scopes: this.loginRequest.scopes
-                    });
+                    const response = await this.interact('token', this.buildTokenRequest(scopeSet, claims), scopeSet);
                     return response.accessToken;
-                } catch (redirectError) {
-                    console.error('Error en redirección:', redirectError);
-                    throw redirectError;
+                } catch (interactionError) {
+                    console.error('Error en la interacción:', interactionError);
+                    // En modo ventana emergente el rechazo llega aquí y no tras una redirección
+                    if (this.isConsentError(interactionError)) {
+                        this.showConsentDenied(interactionError, scopeSet);
+                    }
+                    throw interactionError;
                 }
             }
             throw error;
         }
     }
 
-    async getUserProfile() {
-        try {
-            const token = await this.getAccessToken();
-            
-            const response = await fetch('https://graph.microsoft.com/v1.0/me', {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+    buildTokenRequest(scopeSet, claims) {
+        const request = {
+            scopes: this.getScopes(scopeSet),
+            account: this.currentUser
+        };
 
-            if (!response.ok) {
-                throw new Error(`Error Graph API: ${response.status}`);
-            }
+        // Con claims MSAL no usa la caché y pide un token nuevo que cumpla el desafío
+        if (claims) {
+            request.claims = claims;
+        }
+        return request;
+    }
 
-            return await response.json();
+    async getUserProfile(options = {}) {
+        try {
+            return await this.graph.get('me', { scopes: 'profile', ...options });
         } catch (error) {
             console.error('Error obteniendo perfil:', error);
             throw error;
@@ -168,21 +972,8 @@ class AuthManager {
 
     async checkPasswordlessStatus() {
         try {
-            const token = await this.getAccessToken();
-            
             // Verificar métodos de autenticación del usuario
-            const response = await fetch('https://graph.microsoft.com/v1.0/me/authentication/methods', {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`Error Graph API: ${response.status}`);
-            }
-
-            const methods = await response.json();
+            const methods = await this.graph.getAll('me/authentication/methods', { scopes: 'readOwnMethods' });
             
             // Analizar métodos passwordless habilitados
             const passwordlessMethods = methods.value.filter(method => 
@@ -202,7 +993,7 @@ class AuthManager {
                 hasPasswordless: false,
                 methods: [],
                 allMethods: [],
-                error: error.message
+                error: GraphClient.describeError(error)
             };
         }
     }
@@ -213,39 +1004,140 @@ class AuthManager {
         const userEmailElement = document.getElementById('userEmail');
         
         if (userNameElement && this.currentUser) {
-            userNameElement.textContent = this.currentUser.name || 'Usuario';
+            userNameElement.textContent = this.currentUser.name || window.i18n.t('auth.defaultUserName');
         }
         
         if (userEmailElement && this.currentUser) {
             userEmailElement.textContent = this.currentUser.username || '';
         }
+
+        this.renderAccountPicker();
     }
 
-    showError(message) {
-        // Mostrar mensaje de error al usuario
-        const errorContainer = document.getElementById('errorContainer');
-        if (errorContainer) {
-            errorContainer.innerHTML = `
-                <div class="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
-                    <strong>Error:</strong> ${message}
-                </div>
-            `;
+    renderAccountPicker() {
+        const accountList = document.getElementById('accountList');
+        if (!accountList) return;
+
+        accountList.replaceChildren(...this.getAccounts().map(account => {
+            const isActive = this.currentUser && account.homeAccountId === this.currentUser.homeAccountId;
+
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `w-full text-left px-4 py-2 hover:bg-gray-100 flex items-center ${isActive ? 'bg-blue-50' : ''}`;
+            item.addEventListener('click', () => {
+                this.toggleAccountMenu(false);
+                this.switchAccount(account.homeAccountId);
+            });
+
+            const icon = document.createElement('i');
+            icon.className = `fas ${isActive ? 'fa-check-circle text-blue-600' : 'fa-user-circle text-gray-400'} mr-3`;
+
+            const text = document.createElement('span');
+            const name = document.createElement('span');
+            name.className = 'block text-sm font-medium text-gray-900';
+            name.textContent = account.name || account.username;
+            const username = document.createElement('span');
+            username.className = 'block text-xs text-gray-500';
+            username.textContent = account.username;
+            text.append(name, username);
+
+            item.append(icon, text);
+            return item;
+        }));
+    }
+
+    toggleAccountMenu(show) {
+        const menu = document.getElementById('accountMenu');
+        const menuBtn = document.getElementById('accountMenuBtn');
+        if (!menu) return;
+
+        const visible = show !== undefined ? show : menu.classList.contains('hidden');
+        menu.classList.toggle('hidden', !visible);
+        if (menuBtn) {
+            menuBtn.setAttribute('aria-expanded', String(visible));
         }
+    }
+
+    showError(message, options = {}) {
+        // Mostrar mensaje de error al usuario
+        window.notifications.error(message, options);
         
         // También mostrar en consola
         console.error('AuthManager Error:', message);
     }
 
-    showSuccess(message) {
-        // Mostrar mensaje de éxito al usuario
-        const successContainer = document.getElementById('successContainer');
-        if (successContainer) {
-            successContainer.innerHTML = `
-                <div class="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
-                    <strong>Éxito:</strong> ${message}
+    isConsentError(error) {
+        const details = `${error.errorCode || ''} ${error.errorMessage || error.message || ''}`;
+        // AADSTS65004: el usuario rechazó el consentimiento; AADSTS65001/90094: requiere aprobación del administrador
+        return /consent_required|access_denied|AADSTS65004|AADSTS65001|AADSTS90094/i.test(details);
+    }
+
+    showConsentDenied(error, scopeSet) {
+        const details = `${error.errorCode || ''} ${error.errorMessage || error.message || ''}`;
+        const needsAdmin = /AADSTS65001|AADSTS90094/i.test(details);
+        const feature = window.i18n.t(SCOPE_SETS[scopeSet] ? `auth.scopes.${scopeSet}` : 'auth.scopes.default');
+
+        const consentText = needsAdmin
+            ? window.i18n.t('auth.consent.needsAdmin', { feature })
+            : window.i18n.t('auth.consent.denied', { feature });
+
+        const overlay = document.createElement('div');
+        overlay.id = 'consentDeniedModal';
+        overlay.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+
+        window.htmlRenderer.render(overlay, window.htmlRenderer.html`
+            <div class="bg-white rounded-xl p-8 max-w-md mx-4">
+                <div class="text-center">
+                    <i class="fas fa-user-lock text-4xl text-orange-600 mb-4"></i>
+                    <h3 class="text-xl font-bold text-gray-900 mb-4">${window.i18n.t('auth.consent.deniedTitle')}</h3>
+                    <p class="text-gray-600 mb-4">${consentText}</p>
+                    <p class="text-sm text-gray-500 mb-6">${window.i18n.t('auth.consent.continueHint')}</p>
+                    <div class="flex justify-center space-x-4">
+                        <button type="button" data-consent-close class="bg-gray-600 hover:bg-gray-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors">
+                            ${window.i18n.t('common.continue')}
+                        </button>
+                        <button type="button" data-consent-retry class="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors ${needsAdmin || !SCOPE_SETS[scopeSet] ? 'hidden' : ''}">
+                            <i class="fas fa-redo mr-2"></i>
+                            ${window.i18n.t('common.retry')}
+                        </button>
+                    </div>
                 </div>
-            `;
-        }
+            </div>
+        `);
+
+        overlay.querySelector('[data-consent-close]').addEventListener('click', () => overlay.remove());
+        overlay.querySelector('[data-consent-retry]').addEventListener('click', () => {
+            overlay.remove();
+            this.getAccessToken(scopeSet).catch(retryError => console.error('Error solicitando consentimiento:', retryError));
+        });
+
+        document.body.appendChild(overlay);
+    }
+
+    showSetupError(errors) {
+        // Página de error de configuración: la aplicación no puede funcionar sin config.json válido
+        const page = document.createElement('main');
+        page.className = 'min-h-screen flex items-center justify-center px-4';
+        window.htmlRenderer.render(page, window.htmlRenderer.html`
+            <div class="bg-white rounded-xl shadow-lg p-8 max-w-xl w-full">
+                <div class="text-center mb-6">
+                    <i class="fas fa-tools text-4xl text-red-600 mb-4"></i>
+                    <h2 class="text-2xl font-bold text-gray-900 mb-2">${window.i18n.t('auth.config.title')}</h2>
+                    <p class="text-gray-600">${window.i18n.t('auth.config.description')}</p>
+                </div>
+                <ul class="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800 space-y-2 list-disc list-inside">
+                    ${errors.map(message => window.htmlRenderer.html`<li>${message}</li>`)}
+                </ul>
+                <p class="text-xs text-gray-500 mt-6 text-center">${window.i18n.t('auth.config.endUserHint')}</p>
+            </div>
+        `);
+
+        document.body.replaceChildren(page);
+    }
+
+    showSuccess(message, options = {}) {
+        // Mostrar mensaje de éxito al usuario
+        window.notifications.success(message, options);
     }
 }
 
@@ -271,7 +1163,14 @@ window.hideLoginModal = function() {
 document.addEventListener('DOMContentLoaded', function() {
     const loginBtn = document.getElementById('loginBtn');
     const logoutBtn = document.getElementById('logoutBtn');
+    const accountMenuBtn = document.getElementById('accountMenuBtn');
+    const addAccountBtn = document.getElementById('addAccountBtn');
     
+    // Botones de inicio de sesión del modal de autenticación requerida
+    window.htmlRenderer.registerActions({
+        login: () => window.authManager.login()
+    });
+
     if (loginBtn) {
         loginBtn.addEventListener('click', () => {
             window.authManager.login();
@@ -283,4 +1182,29 @@ document.addEventListener('DOMContentLoaded', function() {
             window.authManager.logout();
         });
     }
+
+    if (accountMenuBtn) {
+        accountMenuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.authManager.toggleAccountMenu();
+        });
+
+        // Cerrar el selector al hacer clic fuera
+        document.addEventListener('click', (e) => {
+            const menu = document.getElementById('accountMenu');
+            if (menu && !menu.contains(e.target)) {
+                window.authManager.toggleAccountMenu(false);
+            }
+        });
+    }
+
+    if (addAccountBtn) {
+        addAccountBtn.addEventListener('click', () => {
+            window.authManager.login({ selectAccount: true });
+        });
+    }
+
+    window.addEventListener('i18n:localechanged', () => {
+        window.authManager.handleLocaleChanged();
+    });
 });
\ No newline at end of file
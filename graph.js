@@ -0,0 +1,292 @@
+/**
+ * Cliente de Microsoft Graph
+ * Punto único de acceso a Graph para todos los módulos del portal:
+ * reintentos ante limitación, paginación, identificadores de solicitud y errores tipados
+ */
+
+class GraphError extends Error {
+    constructor(status, code, graphMessage, requestId = null) {
+        super(window.i18n.t('graph.errors.generic', { message: graphMessage || status }));
+        this.name = 'GraphError';
+        this.status = status;
+        this.code = code;
+        this.graphMessage = graphMessage;
+        this.requestId = requestId;
+    }
+
+    get userMessage() {
+        return this.graphMessage || this.message;
+    }
+}
+
+class GraphAuthError extends GraphError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'GraphAuthError';
+    }
+
+    get userMessage() {
+        return window.i18n.t('graph.errors.auth');
+    }
+}
+
+class GraphClaimsChallengeError extends GraphAuthError {
+    constructor(status, code, graphMessage, requestId, claims) {
+        super(status, code, graphMessage, requestId);
+        this.name = 'GraphClaimsChallengeError';
+        this.claims = claims;
+    }
+
+    get userMessage() {
+        return window.i18n.t('graph.errors.claims');
+    }
+}
+
+class GraphPermissionError extends GraphError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'GraphPermissionError';
+    }
+
+    get userMessage() {
+        return window.i18n.t('graph.errors.permission');
+    }
+}
+
+class GraphThrottledError extends GraphError {
+    constructor(status, code, graphMessage, requestId, retryAfterMs) {
+        super(status, code, graphMessage, requestId);
+        this.name = 'GraphThrottledError';
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get userMessage() {
+        return window.i18n.t('graph.errors.throttled');
+    }
+}
+
+class GraphNotFoundError extends GraphError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'GraphNotFoundError';
+    }
+
+    get userMessage() {
+        return window.i18n.t('graph.errors.notFound');
+    }
+}
+
+class GraphPolicyError extends GraphError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'GraphPolicyError';
+    }
+
+    get userMessage() {
+        return window.i18n.t('graph.errors.policy');
+    }
+}
+
+class GraphClient {
+    constructor(authManager, baseUrl) {
+        this.authManager = authManager;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.maxRetries = 3;
+        this.maxRetryDelayMs = 30000;
+    }
+
+    buildUrl(path, version = 'v1.0') {
+        if (/^https?:\/\//i.test(path)) {
+            return path;
+        }
+        return `${this.baseUrl}/${version}/${path.replace(/^\/+/, '')}`;
+    }
+
+    async request(path, options = {}) {
+        const { method = 'GET', body, headers = {}, version = 'v1.0', scopes = 'profile', interactive = true } = options;
+
+        // Mismo identificador en todos los reintentos para poder rastrearlo en soporte
+        const clientRequestId = this.createRequestId();
+        let claims = null;
+
+        for (let attempt = 0; ; ) {
+            const token = await this.authManager.getAccessToken(scopes, { interactive, claims });
+
+            const response = await fetch(this.buildUrl(path, version), {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                    'client-request-id': clientRequestId,
+                    ...headers
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+
+            if (response.ok) {
+                if (response.status === 204) {
+                    return null;
+                }
+
+                const text = await response.text();
+                return text ? JSON.parse(text) : null;
+            }
+
+            // Acceso condicional: repetir una sola vez con un token que satisfaga el desafío
+            const challenge = response.status === 401
+                ? GraphClient.parseClaimsChallenge(response.headers.get('WWW-Authenticate'))
+                : null;
+            if (challenge) {
+                if (interactive && !claims) {
+                    console.warn(`Graph exige claims adicionales; renovando el token (${clientRequestId})`);
+                    claims = challenge;
+                    continue;
+                }
+
+                const errorData = await response.json().catch(() => ({}));
+                const error = errorData.error || {};
+                throw new GraphClaimsChallengeError(401, error.code, error.message || response.statusText, clientRequestId, challenge);
+            }
+
+            const retryAfterMs = this.getRetryDelay(response, attempt);
+            if (this.isRetryable(response.status, method) && attempt < this.maxRetries) {
+                console.warn(`Graph respondió ${response.status}; reintentando en ${retryAfterMs} ms (${clientRequestId})`);
+                await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+                attempt++;
+                continue;
+            }
+
+            const errorData = await response.json().catch(() => ({}));
+            throw this.createError(response, errorData.error || {}, clientRequestId, retryAfterMs);
+        }
+    }
+
+    async getAll(path, options = {}) {
+        // Recorrer todas las páginas siguiendo @odata.nextLink
+        const items = [];
+        let nextPath = path;
+
+        while (nextPath) {
+            const page = await this.get(nextPath, options);
+            items.push(...(page.value || []));
+            nextPath = page['@odata.nextLink'] || null;
+        }
+
+        return { value: items };
+    }
+
+    get(path, options = {}) {
+        return this.request(path, { ...options, method: 'GET' });
+    }
+
+    post(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'POST', body });
+    }
+
+    patch(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'PATCH', body });
+    }
+
+    delete(path, options = {}) {
+        return this.request(path, { ...options, method: 'DELETE' });
+    }
+
+    isRetryable(status, method = 'GET') {
+        // Un 429 garantiza que la solicitud no se procesó; ante 503/504 solo se repiten las idempotentes
+        if (status === 429) {
+            return true;
+        }
+        return (status === 503 || status === 504) && ['GET', 'PUT', 'DELETE'].includes(method.toUpperCase());
+    }
+
+    getRetryDelay(response, attempt) {
+        // Retry-After puede venir en segundos o como fecha HTTP
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds)
+                ? new Date(retryAfter).getTime() - Date.now()
+                : seconds * 1000;
+            if (!Number.isNaN(delay)) {
+                return Math.min(Math.max(delay, 0), this.maxRetryDelayMs);
+            }
+        }
+
+        // Sin cabecera: espera exponencial
+        return Math.min(1000 * Math.pow(2, attempt), this.maxRetryDelayMs);
+    }
+
+    createError(response, error, clientRequestId, retryAfterMs) {
+        const status = response.status;
+        const message = error.message || response.statusText;
+        const requestId = (error.innerError && error.innerError['client-request-id']) || clientRequestId;
+        const args = [status, error.code, message, requestId];
+
+        if (status === 401) {
+            return new GraphAuthError(...args);
+        }
+        if (status === 429 || status === 503 || status === 504) {
+            return new GraphThrottledError(...args, retryAfterMs);
+        }
+        if (status === 404) {
+            return new GraphNotFoundError(...args);
+        }
+        if ((status === 400 || status === 403) && this.getErrorCodes(error).some(code => /policy/i.test(code))) {
+            return new GraphPolicyError(...args);
+        }
+        if (status === 403) {
+            return new GraphPermissionError(...args);
+        }
+        return new GraphError(...args);
+    }
+
+    getErrorCodes(error) {
+        // Códigos del error y de los innerError anidados; el mensaje es texto libre y no sirve para clasificar
+        const codes = [];
+        for (let current = error; current; current = current.innerError || current.innererror) {
+            if (current.code) {
+                codes.push(String(current.code));
+            }
+        }
+        return codes;
+    }
+
+    createRequestId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    static parseClaimsChallenge(header) {
+        // WWW-Authenticate: Bearer ..., error="insufficient_claims", claims="<JSON en base64>"
+        if (!header || !/error="?insufficient_claims/i.test(header)) {
+            return null;
+        }
+
+        const match = header.match(/claims="([^"]+)"/i);
+        if (!match) {
+            return null;
+        }
+
+        try {
+            return atob(match[1]);
+        } catch (error) {
+            console.error('Desafío de claims no válido:', error);
+            return null;
+        }
+    }
+
+    static describeError(error) {
+        // Mensaje para el usuario, con el identificador de solicitud para soporte
+        if (error instanceof GraphError) {
+            return error.requestId
+                ? window.i18n.t('graph.errors.withRequestId', { message: error.userMessage, requestId: error.requestId })
+                : error.userMessage;
+        }
+        return error.message;
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * Módulo de Internacionalización
+ * Catálogos de mensajes, detección del idioma y formato de fechas y duraciones
+ */
+
+const DEFAULT_LOCALE = 'es';
+const LOCALE_STORAGE_KEY = 'preferredLocale';
+
+class I18n {
+    constructor() {
+        this.catalogs = {};
+        this.locale = DEFAULT_LOCALE;
+        this.profileLocale = null;
+        this.init();
+    }
+
+    init() {
+        // Los catálogos se registran al cargar sus scripts; el idioma se aplica con la página completa
+        document.addEventListener('DOMContentLoaded', () => {
+            this.setupSwitchers();
+            this.applyLocale(this.detectLocale());
+        });
+    }
+
+    addCatalog(locale, messages) {
+        // Un catálogo puede ampliarse desde varios scripts (por ejemplo, pasos propios de la organización)
+        this.catalogs[locale] = this.mergeMessages(this.catalogs[locale] || {}, messages);
+
+        // Los módulos pueden traducir mensajes antes de cargar la página (errores de configuración)
+        this.locale = this.detectLocale();
+    }
+
+    mergeMessages(target, source) {
+        Object.entries(source).forEach(([key, value]) => {
+            const isNamespace = value && typeof value === 'object' && !this.isPluralEntry(value);
+            target[key] = isNamespace
+                ? this.mergeMessages(target[key] && typeof target[key] === 'object' ? target[key] : {}, value)
+                : value;
+        });
+        return target;
+    }
+
+    isPluralEntry(value) {
+        return typeof value.other === 'string';
+    }
+
+    getAvailableLocales() {
+        return Object.keys(this.catalogs);
+    }
+
+    resolveLocale(tag) {
+        if (!tag || typeof tag !== 'string') return null;
+
+        // "en-GB" usa el catálogo "en" si no hay uno específico para la región
+        const normalized = tag.toLowerCase().replace('_', '-');
+        const available = this.getAvailableLocales();
+        return available.find(locale => locale === normalized) ||
+            available.find(locale => locale === normalized.split('-')[0]) ||
+            null;
+    }
+
+    detectLocale() {
+        // Prioridad: elección del usuario, idioma preferido del perfil de Entra y, por último, el navegador
+        const candidates = [
+            localStorage.getItem(LOCALE_STORAGE_KEY),
+            this.profileLocale,
+            ...(navigator.languages || [navigator.language])
+        ];
+
+        for (const candidate of candidates) {
+            const locale = this.resolveLocale(candidate);
+            if (locale) return locale;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    applyProfileLanguage(preferredLanguage) {
+        // preferredLanguage de Microsoft Graph (por ejemplo "en-US")
+        this.profileLocale = preferredLanguage || null;
+        this.applyLocale(this.detectLocale());
+    }
+
+    setLocale(locale) {
+        // Elección explícita desde el selector de idioma
+        const resolved = this.resolveLocale(locale);
+        if (!resolved) return;
+
+        localStorage.setItem(LOCALE_STORAGE_KEY, resolved);
+        this.applyLocale(resolved);
+    }
+
+    applyLocale(locale) {
+        const changed = locale !== this.locale;
+        this.locale = locale;
+        document.documentElement.lang = locale;
+
+        this.translatePage();
+        this.updateSwitchers();
+
+        // Los módulos vuelven a pintar el contenido generado dinámicamente
+        if (changed) {
+            window.dispatchEvent(new CustomEvent('i18n:localechanged', { detail: { locale } }));
+        }
+    }
+
+    lookup(locale, key) {
+        return key.split('.').reduce((node, part) =>
+            node && typeof node === 'object' ? node[part] : undefined, this.catalogs[locale]);
+    }
+
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key);
+        if (message === undefined) {
+            message = this.lookup(DEFAULT_LOCALE, key);
+        }
+
+        // Sin traducción se devuelve la clave: permite textos literales en pasos registrados por la organización
+        if (message === undefined || (typeof message === 'object' && !this.isPluralEntry(message))) {
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(this.locale).select(params.count);
+            message = message[category] || message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? String(params[name]) : match);
+    }
+
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        // data-i18n-attr="placeholder:clave;title:otraClave"
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+
+    setupSwitchers() {
+        document.querySelectorAll('select[data-language-switcher]').forEach(select => {
+            select.replaceChildren();
+            this.getAvailableLocales().forEach(locale => {
+                select.add(new Option(this.lookup(locale, 'language.name') || locale, locale));
+            });
+            select.addEventListener('change', () => this.setLocale(select.value));
+        });
+    }
+
+    updateSwitchers() {
+        document.querySelectorAll('select[data-language-switcher]').forEach(select => {
+            select.value = this.locale;
+        });
+    }
+
+    getFormattingLocale() {
+        // Se conserva la región del navegador cuando coincide el idioma (fechas en-GB frente a en-US)
+        const browserLocale = navigator.language || '';
+        return browserLocale.toLowerCase().split('-')[0] === this.locale ? browserLocale : this.locale;
+    }
+
+    formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Intl.DateTimeFormat(this.getFormattingLocale(), options).format(new Date(value));
+    }
+
+    formatTime(value) {
+        return this.formatDateTime(value, { hour: '2-digit', minute: '2-digit' });
+    }
+
+    formatUnit(value, unit) {
+        return new Intl.NumberFormat(this.getFormattingLocale(), {
+            style: 'unit',
+            unit,
+            unitDisplay: 'long'
+        }).format(value);
+    }
+
+    formatLifetime(minutes) {
+        // Duraciones configuradas (TAP): en la unidad entera más grande
+        if (minutes % 10080 === 0) return this.formatUnit(minutes / 10080, 'week');
+        if (minutes % 1440 === 0) return this.formatUnit(minutes / 1440, 'day');
+        if (minutes % 60 === 0) return this.formatUnit(minutes / 60, 'hour');
+        return this.formatUnit(minutes, 'minute');
+    }
+
+    formatDuration(milliseconds) {
+        // Cuenta atrás: reloj h:mm:ss precedido de los días completos
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const hours = Math.floor((totalSeconds % 86400) / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        const clock = hours > 0 || days > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`
+            : `${minutes}:${seconds.toString().padStart(2, '0')}`;
+
+        return days > 0 ? `${this.formatUnit(days, 'day')} ${clock}` : clock;
+    }
+}
+
+// Instancia global de internacionalización: debe cargarse antes que los catálogos y el resto de módulos
+window.i18n = new I18n();
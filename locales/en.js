@@ -0,0 +1,624 @@
+/**
+ * Catálogo de Mensajes en Inglés
+ * Misma estructura de claves que locales/es.js
+ */
+
+window.i18n.addCatalog('en', {
+    language: {
+        name: 'English',
+        label: 'Language'
+    },
+    common: {
+        notAuthenticated: 'User is not signed in',
+        initError: 'The application could not be initialized',
+        continue: 'Continue',
+        retry: 'Try again',
+        cancel: 'Cancel',
+        confirm: 'Confirm',
+        save: 'Save',
+        refresh: 'Refresh',
+        signIn: 'Sign In',
+        authRequired: {
+            title: 'Sign-in Required'
+        },
+        header: {
+            accounts: 'Accounts',
+            useAnotherAccount: 'Use another account',
+            myMethods: 'My methods',
+            back: 'Back',
+            logout: 'Sign Out'
+        },
+        footer: '© 2024 Microsoft Passwordless Manager. Powered by Microsoft Entra ID.'
+    },
+    auth: {
+        config: {
+            invalid: 'Invalid configuration: {errors}',
+            loadFailed: 'config.json could not be loaded ({message})',
+            cloud: 'cloud must be one of: {values}',
+            clientId: 'clientId must be the application registration GUID',
+            tenantId: 'tenantId must be the tenant GUID or domain',
+            url: '{key} must be a valid https URL',
+            scopes: 'scopes must be a non-empty list of permissions',
+            interactionMode: 'interactionMode must be one of: {values}',
+            wizardSteps: 'wizardSteps must be a non-empty list of step identifiers',
+            signInTestAuthContext: 'signInTestAuthContext must be an authentication context ID between c1 and c99',
+            csp: '{key} ({origin}) is not allowed in {directives} of the content security policy; add it to the Content-Security-Policy tag of every page',
+            title: 'Configuration Error',
+            description: 'The portal is not configured correctly. Review config.json before continuing.',
+            endUserHint: 'If you are an end user, contact the portal administrator.'
+        },
+        consent: {
+            required: 'Consent is required to {feature}',
+            grant: 'Grant access',
+            deniedTitle: 'Permission not granted',
+            continueHint: 'You can keep using the rest of the portal as usual.',
+            needsAdmin: 'An administrator in your organization must approve access to {feature}. Ask your support team.',
+            denied: 'You have not granted the permission required to {feature}.'
+        },
+        scopes: {
+            profile: 'read your profile',
+            readOwnMethods: 'view your authentication methods',
+            manageOwnMethods: 'register and remove your authentication methods',
+            readPolicy: 'read your organization\'s Temporary Access Pass policy',
+            manageOthersTAP: 'manage Temporary Access Passes for other users',
+            default: 'use this feature'
+        },
+        session: {
+            expiredError: 'Your session has expired. Sign in again to continue.',
+            loggedOutElsewhere: 'You were signed out from another tab.',
+            expired: 'Your session has expired.',
+            renew: 'Renew session',
+            expiring: 'Your session will expire at {time}. Renew it so you do not lose your work.',
+            signInAgain: 'Sign in again'
+        },
+        errors: {
+            authentication: 'Authentication error: {message}',
+            notConfigured: 'The application is not configured',
+            login: 'Sign-in failed: {message}',
+            logout: 'Sign-out failed',
+            accountUnavailable: 'The selected account is no longer available',
+            verifyOtherAccount: 'The test used a different account. Repeat it with the account where you set up the passkey.',
+            claimsPopupBlocked: 'The browser blocked the window to verify your identity again. Allow pop-ups for this site and repeat the operation.',
+            unknownScopeSet: 'Unknown permission set: {scopeSet}',
+            noSession: 'There is no active session'
+        },
+        defaultUserName: 'User'
+    },
+    graph: {
+        errors: {
+            generic: 'Graph API error: {message}',
+            auth: 'Your session is no longer valid. Sign in again.',
+            claims: 'Your organization requires additional verification (for example, MFA) for this operation. Try again and complete the verification.',
+            permission: 'You do not have permission to perform this operation.',
+            throttled: 'Microsoft Graph is throttling requests. Try again in a few seconds.',
+            notFound: 'The requested item no longer exists.',
+            policy: 'Your organization\'s policy does not allow this operation.',
+            withRequestId: '{message} (request ID: {requestId})'
+        }
+    },
+    wizard: {
+        steps: {
+            verify: {
+                title: 'Verification',
+                action: 'Check Requirements'
+            },
+            enroll: {
+                title: 'Setup'
+            },
+            validate: {
+                title: 'Validation',
+                action: 'Validate Setup'
+            },
+            removeSms: {
+                title: 'Remove SMS',
+                description: 'Text messages and calls can be intercepted. Now that you can sign in without a password, remove the phones from your account.',
+                none: 'Your account no longer has any registered phones.',
+                remove: 'Remove',
+                phone: 'Phone ending in {digits}',
+                removed: 'Phone removed from your account',
+                removeError: 'The phone could not be removed'
+            },
+            backupKey: {
+                title: 'Backup',
+                description: 'Register a second passkey or security key in Security info so you do not lose access if you lose your main device.',
+                action: 'Check now',
+                open: 'Open',
+                securityInfo: 'Security info',
+                add: 'Select "Add sign-in method" and register another passkey or security key',
+                return: 'Come back to this page and select "Check now"',
+                registered: 'Backup passkey detected on your account',
+                notDetected: 'A second passkey is not detected on your account yet',
+                error: 'Your account methods could not be checked'
+            }
+        },
+        requirements: {
+            isSecureContext: {
+                name: 'Secure connection (HTTPS)',
+                remediation: 'Open the portal over HTTPS. WebAuthn is only available in secure contexts.'
+            },
+            hasSupportedBrowser: {
+                name: 'Supported browser',
+                remediation: 'Use a recent version of Microsoft Edge, Google Chrome, Firefox or Safari.'
+            },
+            hasWebAuthn: {
+                name: 'WebAuthn support',
+                remediation: 'Your browser does not support WebAuthn. Update it or switch to a supported browser.'
+            },
+            hasPlatformAuthenticator: {
+                name: 'Platform authenticator (Windows Hello, Touch ID)',
+                remediation: 'Set up Windows Hello, Touch ID or the device screen lock, or use a FIDO2 security key.'
+            },
+            hasConditionalMediation: {
+                name: 'Passkey autofill',
+                remediation: 'Your browser does not offer passkeys in autofill. You can still sign in by selecting the passkey manually.'
+            },
+            hasAuthenticator: {
+                name: 'Microsoft Authenticator registered',
+                remediation: 'Install Microsoft Authenticator and register it on your account at https://aka.ms/mysecurityinfo.'
+            }
+        },
+        enrollment: {
+            paths: {
+                passkey: 'Passkey or security key',
+                authenticator: 'Microsoft Authenticator',
+                windowsHello: 'Windows Hello for Business'
+            }
+        },
+        errors: {
+            loadProgress: 'The account progress could not be loaded'
+        },
+        progress: {
+            expired: 'Your previous progress expired due to inactivity. The wizard starts over.',
+            resume: 'Your last visit was on {date}. You will continue at the "{step}" step.',
+            reset: 'The wizard has been reset',
+            completed: 'Setup completed',
+            step: 'Step {position} of {total}'
+        },
+        stepper: {
+            label: 'Wizard steps',
+            status: {
+                completed: 'completed',
+                current: 'current step',
+                pending: 'pending'
+            }
+        },
+        navigation: {
+            completeOrSkip: 'Complete this step or press "Skip" to continue',
+            completeStep: 'Complete this step to continue'
+        },
+        verify: {
+            success: 'Requirements checked successfully',
+            failed: 'Your environment does not meet the mandatory requirements. Follow the guidance to continue.',
+            error: 'The requirements could not be checked',
+            status: {
+                met: 'Met',
+                notMet: 'Not met',
+                recommended: 'Recommended'
+            },
+            optional: '(optional)',
+            allMet: 'All mandatory requirements met',
+            fixRequired: { one: 'Fix the highlighted requirement to continue', other: 'Fix the {count} highlighted requirements to continue' },
+            resultsTitle: 'Verification Results:'
+        },
+        enroll: {
+            waiting: 'Waiting for the method to appear on your account...',
+            notDetected: '{method} has not been detected on your account yet. When you finish, press "Check now".',
+            success: 'Method registered successfully: {method}',
+            completedTitle: 'Setup Completed',
+            registeredNamed: '{method} "{name}" has been registered on your account.',
+            registered: '{method} has been registered on your account.'
+        },
+        validate: {
+            inProgress: 'Validating setup...',
+            noNewMethod: 'No new passwordless method was detected on your account. Complete the setup step and try again.',
+            testSignInRequired: 'Method detected. Sign in again with it to complete the validation.',
+            error: 'The setup could not be validated',
+            defaultMethodName: 'Passwordless method',
+            testFailed: 'The test sign-in was not completed',
+            testPassed: 'You signed in again successfully. Setup validated.',
+            testPassedEnforced: 'You signed in with a passwordless method that meets your organization\'s policy. Setup validated.',
+            testPopupBlocked: 'The browser blocked the sign-in window. Allow pop-ups for this site and try again.'
+        },
+        page: {
+            title: 'Passwordless Manager - Microsoft Entra ID',
+            subtitle: 'A secure transition to passwordless authentication',
+            hero: {
+                title: 'Welcome to Passwordless',
+                description: 'Discover a safer and more convenient way to access your applications without passwords.',
+                security: 'Enhanced Security',
+                fastAccess: 'Fast Access',
+                multiDevice: 'Multi-device'
+            },
+            progress: {
+                title: 'Your Progress to Passwordless',
+                reset: 'Reset wizard'
+            },
+            resume: {
+                title: 'Pick up where you left off',
+                restart: 'Start over'
+            },
+            verify: {
+                title: 'Requirements Check',
+                description: 'We will check that your environment meets the passwordless requirements.',
+                requirementsTitle: 'Required:',
+                requirements: {
+                    device: 'Windows 10/11 device or supported mobile device',
+                    authenticator: 'Microsoft Authenticator installed (mobile)',
+                    windowsHello: 'Windows Hello enabled (Windows)',
+                    browser: 'Modern browser with WebAuthn support',
+                    https: 'Secure connection (HTTPS)'
+                },
+                loading: 'Checking...'
+            },
+            enroll: {
+                title: 'Method Setup',
+                description: 'We will set up passwordless authentication methods for your account.',
+                choose: 'Choose how you want to sign in without a password',
+                passkeyHint: 'Use this device or a FIDO2 key',
+                authenticatorHint: 'Phone sign-in',
+                windowsHelloHint: 'PIN or biometrics on your Windows PC',
+                passkey: {
+                    title: 'Register a Passkey or Security Key',
+                    description: 'Microsoft Entra ID only allows creating passkeys from its own pages, so you register it in Security info. We will detect the new passkey as soon as it appears on your account.',
+                    openBefore: 'Open',
+                    securityInfo: 'Security info',
+                    openAfter: ', select "Add sign-in method" and choose "Passkey" or "Security key"',
+                    browser: 'Follow the browser prompts to use Windows Hello, Touch ID or your security key',
+                    return: 'Come back to this page: the step will complete on its own'
+                },
+                authenticator: {
+                    title: 'Sign In with Microsoft Authenticator',
+                    download: 'Download Microsoft Authenticator from your phone\'s app store',
+                    scan: 'Scan the QR code shown with the app',
+                    enable: 'In the app, open your account and select "Enable phone sign-in"',
+                    openBefore: 'Open',
+                    securityInfo: 'Security info',
+                    openAfter: ', select "Add sign-in method" and choose "Authenticator app"'
+                },
+                windowsHello: {
+                    title: 'Windows Hello for Business Setup',
+                    deviceHint: 'This device is not a Windows PC. Follow these steps on your organization-joined Windows computer.',
+                    signIn: 'Sign in to your Windows PC with your work account',
+                    settings: 'Go to Settings > Accounts > Sign-in options',
+                    pin: 'Set up the PIN (Windows Hello) and, if your computer allows it, fingerprint or face recognition',
+                    verify: 'Complete any additional verification Windows asks for'
+                },
+                checkNow: 'Check now'
+            },
+            validate: {
+                title: 'Final Validation',
+                description: 'We will confirm that everything is set up correctly.',
+                testsTitle: 'Security Checks',
+                testsIntro: 'We will run the following checks:',
+                tests: {
+                    primary: 'Primary authentication method check',
+                    passwordless: 'Passwordless authentication test',
+                    backup: 'Backup authentication check',
+                    tenant: 'Tenant configuration confirmation'
+                },
+                testSignIn: {
+                    title: 'Test Sign-in',
+                    description: 'We detected these new methods on your account. Sign in to Microsoft again with your new method to check that it works and complete the validation:',
+                    action: 'Test Sign-in'
+                }
+            },
+            navigation: {
+                previous: 'Previous',
+                skip: 'Skip',
+                next: 'Next',
+                complete: 'Complete Setup'
+            },
+            completion: {
+                title: 'Setup Complete!',
+                description: 'You have successfully enabled passwordless authentication on your account.',
+                nextTitle: 'What\'s next?',
+                next: {
+                    tap: 'You can generate a Temporary Access Pass for temporary access',
+                    authenticator: 'Use Microsoft Authenticator to sign in',
+                    windowsHello: 'Take advantage of Windows Hello on your Windows devices',
+                    secure: 'Your account is now more secure and convenient'
+                },
+                startOver: 'Start Over',
+                imageAlt: 'Success'
+            },
+            resetModal: {
+                title: 'Reset Wizard',
+                description: 'Your wizard progress will be cleared and you will start from the first step. Methods already registered on your account are not changed.',
+                confirm: 'Reset'
+            },
+            authRequired: 'You must sign in with your Microsoft account to continue the passwordless setup.'
+        }
+    },
+    readiness: {
+        title: 'Passwordless readiness',
+        allPassed: 'Your account meets every recommendation.',
+        levels: {
+            excellent: 'Excellent',
+            inProgress: 'In progress',
+            initial: 'Getting started'
+        },
+        rules: {
+            hasPasswordless: {
+                recommendation: 'Register a passwordless method: a passkey, Windows Hello for Business or phone sign-in with Microsoft Authenticator.',
+                action: 'Start setup'
+            },
+            hasPhishingResistant: {
+                recommendation: 'Add a phishing-resistant method, such as a passkey or Windows Hello for Business.',
+                action: 'Register passkey'
+            },
+            hasBackupPasswordless: {
+                recommendation: 'Add a second passkey or passwordless method as a backup in case you lose your device.',
+                action: 'Register another method'
+            },
+            authenticatorPhoneSignIn: {
+                recommendation: 'Microsoft Authenticator is registered but phone sign-in is not enabled. Turn it on in the app: select your account and choose "Enable phone sign-in".'
+            },
+            noPhoneMethods: {
+                recommendation: 'You still have a phone (SMS or call) as a method. It is vulnerable to phishing and SIM swapping; remove it now that you have a passwordless method.',
+                action: 'View my methods'
+            },
+            noLeftoverTAP: {
+                recommendation: 'You have a Temporary Access Pass that can still be used. Remove it if you have already completed the setup.',
+                action: 'View my methods'
+            }
+        }
+    },
+    methods: {
+        types: {
+            passwordMethods: 'Password',
+            fido2Methods: 'FIDO2 security key',
+            microsoftAuthenticatorMethods: 'Microsoft Authenticator',
+            windowsHelloForBusinessMethods: 'Windows Hello for Business',
+            platformCredentialMethods: 'Platform credential (macOS)',
+            phoneMethods: 'Phone',
+            emailMethods: 'Email',
+            softwareOathMethods: 'Software OATH token',
+            temporaryAccessPassMethods: 'Temporary Access Pass'
+        },
+        details: {
+            lastChanged: 'Last changed',
+            name: 'Name',
+            model: 'Model',
+            device: 'Device',
+            appVersion: 'App version',
+            keyStrength: 'Key strength',
+            number: 'Number',
+            type: 'Type',
+            address: 'Address',
+            lifetime: 'Lifetime',
+            status: 'Status',
+            registered: 'Registered'
+        },
+        phoneTypes: {
+            mobile: 'Mobile',
+            alternateMobile: 'Alternate mobile',
+            office: 'Office'
+        },
+        usable: 'Usable',
+        notUsable: 'Not usable',
+        loading: 'Loading methods...',
+        loadError: 'Your methods could not be loaded: {message}',
+        empty: 'You have no registered authentication methods',
+        passwordlessBadge: 'Passwordless',
+        edit: 'Edit',
+        remove: 'Remove',
+        lastPasswordless: 'You cannot remove {method} because it is your only passwordless method. Register another passwordless method before removing it.',
+        lastStrong: 'You cannot remove {method} because it is your only two-step verification method. Register another method, such as a passkey, before removing it.',
+        confirmRemoval: 'You are about to remove {method} from your account. You will no longer be able to use it to sign in.',
+        removed: '{method} removed successfully',
+        removeError: 'The method could not be removed: {message}',
+        updated: '{method} updated successfully',
+        updateError: 'The method could not be updated: {message}',
+        editor: {
+            phoneLabel: 'New phone number',
+            phoneHint: 'Include the country code followed by a space and the number.',
+            emailLabel: 'New email address',
+            emailPlaceholder: 'name@example.com',
+            emailHint: 'Use a personal address other than your work account.',
+            invalidPhone: 'Enter the number as "+<country code> <number>", for example +1 4255550100',
+            invalidEmail: 'Enter a valid email address'
+        },
+        page: {
+            title: 'My Methods - Passwordless Manager',
+            subtitle: 'My authentication methods',
+            hero: {
+                title: 'My Authentication Methods',
+                description: 'Review the methods registered on your account and remove the ones you no longer use.'
+            },
+            listTitle: 'Registered methods',
+            listHint: 'Your last passwordless method cannot be removed until you register another one.',
+            renameHint: 'Microsoft Graph does not allow renaming a passkey or a device: to rename it, register a new one with the name you want and remove the old one.',
+            removeTitle: 'Remove Method',
+            editTitle: 'Edit Method',
+            authRequired: 'Sign in again with your Microsoft account to keep managing your authentication methods.'
+        }
+    },
+    tap: {
+        policyRange: 'The tenant policy allows between {min} and {max}',
+        startInPast: 'The activation time must be in the future',
+        generateError: 'The TAP could not be generated: {message}',
+        usableOnceEnforced: 'Your organization\'s policy requires every TAP to be single-use',
+        policyInfo: 'Your organization\'s policy: lifetime between {min} and {max} (default: {default}).',
+        policyUnavailable: 'Your organization\'s Temporary Access Pass policy could not be checked (administrator permissions are required). Microsoft Graph will enforce its limits when the TAP is generated.',
+        policyDisabled: 'Temporary Access Pass is disabled in your organization. Contact your administrator.',
+        policyNotIncluded: 'Your account is not included in your organization\'s Temporary Access Pass policy. Ask your administrator to add you.',
+        policyDeniedForUser: 'The Temporary Access Pass policy does not allow creating a TAP for {user}.',
+        syncError: 'The history could not be synchronized with the server',
+        deleted: 'TAP deleted successfully',
+        deleteError: 'The TAP could not be deleted: {message}',
+        expires: 'Expires: {date}',
+        starts: 'Activates: {date}',
+        forUser: 'For: {user}',
+        nothingToCopy: 'There is no TAP to copy',
+        copied: 'TAP copied to the clipboard',
+        copiedButton: 'Copied!',
+        copyError: 'The TAP could not be copied',
+        display: {
+            masked: 'Code hidden',
+            reveal: 'Reveal code',
+            conceal: 'Hide code'
+        },
+        qr: {
+            label: 'QR code with the sign-in link and {user}\'s TAP',
+            masked: 'QR code hidden until the code is revealed',
+            caption: 'Scan it to open {url}',
+            error: 'The QR code could not be generated'
+        },
+        slip: {
+            nothingToPrint: 'There is no TAP to print',
+            title: 'Temporary Access Pass',
+            subtitle: 'Temporary access to set up your account without a password',
+            user: 'User',
+            pass: 'Access code',
+            activation: 'Activates',
+            expiry: 'Expires',
+            usage: 'Usage',
+            usableOnce: 'Valid for a single sign-in',
+            instructionsTitle: 'Instructions',
+            instructions: {
+                open: 'Open {url} or scan the QR code.',
+                signIn: 'Sign in with your user {user}.',
+                enterPass: 'When prompted, enter the access code instead of your password.',
+                setup: 'Set up a passwordless method before {date}.'
+            },
+            confidential: 'Confidential: do not share it and destroy it as soon as you have used the code.'
+        },
+        signInFirst: 'You must sign in first',
+        generating: 'Generating...',
+        generateAnother: 'Generate New TAP',
+        generate: 'Generate TAP',
+        countdown: {
+            pending: 'Not active yet. Activates in: {duration}',
+            expired: 'TAP expired',
+            remaining: 'Time remaining: {duration}',
+            remainingLow: 'Time remaining: {duration}. Running low',
+            remainingCritical: 'Time remaining: {duration}. About to expire',
+            activated: 'The TAP is now active',
+            milestone: { one: '{count} minute of TAP validity left', other: '{count} minutes of TAP validity left' }
+        },
+        status: {
+            active: 'ACTIVE',
+            removedOnServer: 'REMOVED ON SERVER',
+            expired: 'EXPIRED',
+            used: 'ALREADY USED',
+            pending: 'NOT ACTIVE YET'
+        },
+        history: {
+            empty: 'No TAPs generated',
+            usableOnce: 'Single Use',
+            serverOnly: 'Created on another device',
+            user: 'User: {user}',
+            created: 'Created: {date}',
+            startsIn: 'Activates: {date} (in {duration})',
+            lifetime: 'Lifetime: {lifetime}',
+            removeEntry: 'Remove from history',
+            delete: 'Delete TAP',
+            deleteLabel: '{action}: TAP created on {date}'
+        },
+        page: {
+            title: 'Generate TAP - Passwordless Manager',
+            subtitle: 'Temporary Access Pass generator',
+            hero: {
+                title: 'Generate a Temporary Access Pass',
+                description: 'Create a secure temporary access code for emergency authentication or initial setup.',
+                temporary: 'Temporary',
+                secure: 'Secure',
+                multiFactor: 'Multi-factor'
+            },
+            form: {
+                title: 'Configure TAP',
+                description: 'Customize your Temporary Access Pass settings',
+                lifetime: 'Lifetime (minutes)',
+                lifetimeHint: 'The TAP expires automatically after this time',
+                restrictions: 'Usage Restrictions',
+                usableOnce: 'Single use',
+                usableOnceHint: 'If checked, the TAP can only be used once',
+                startDateTime: 'Scheduled Activation (optional)',
+                startDateTimeHint: 'Leave empty to make the TAP valid immediately',
+                timeZone: 'Time Zone',
+                timeZoneHint: 'The activation time is interpreted in this time zone',
+                infoTitle: 'Important Information',
+                info: {
+                    ownAccount: '• The TAP is only valid for your account',
+                    doNotShare: '• Do not share the code with anyone',
+                    shownOnce: '• The code is shown only once',
+                    keepSafe: '• Keep it somewhere safe for the time being'
+                }
+            },
+            display: {
+                title: 'Your Temporary Access Pass',
+                description: 'This code is temporary and confidential',
+                expires: 'Expires:',
+                status: 'Status:',
+                copy: 'Copy Code',
+                print: 'Print slip',
+                hide: 'Hide TAP'
+            },
+            history: {
+                title: 'TAP History',
+                empty: 'No TAPs generated yet',
+                emptyHint: 'Generated TAPs will appear here'
+            },
+            tips: {
+                title: 'Security Best Practices',
+                doNotShare: {
+                    title: 'Do Not Share',
+                    description: 'Never share your TAP with anyone, not even technical support'
+                },
+                temporary: {
+                    title: 'Temporary Use',
+                    description: 'TAPs are for temporary use. Do not use them as your main method'
+                },
+                hide: {
+                    title: 'Hide the Code',
+                    description: 'Make sure nobody else sees the code when you use it'
+                }
+            },
+            authRequired: 'Sign in again with your Microsoft account to keep managing Temporary Access Passes.'
+        }
+    },
+    tapAdmin: {
+        roles: {
+            globalAdministrator: 'Global Administrator',
+            privilegedAuthenticationAdministrator: 'Privileged Authentication Administrator',
+            authenticationAdministrator: 'Authentication Administrator'
+        },
+        loadMethodsError: 'The user\'s methods could not be loaded: {message}',
+        noUsersFound: 'No users found',
+        noMethods: 'The user has no registered methods',
+        noTAP: 'The user has no active TAP',
+        usable: 'USABLE',
+        notUsable: 'NOT USABLE',
+        revoke: 'Revoke TAP',
+        revokeLabel: 'Revoke {user}\'s TAP',
+        confirmCreate: 'You are about to create a Temporary Access Pass for {user}. Any existing TAP for the user will be replaced.',
+        confirmRevoke: 'You are about to revoke {user}\'s Temporary Access Pass. The user will no longer be able to use it.',
+        searchError: 'Users could not be searched: {message}',
+        page: {
+            title: 'TAP Administration',
+            description: 'Issue or revoke TAPs for other users. Role:',
+            search: 'Search',
+            currentTAP: 'Current Temporary Access Pass',
+            lifetime: 'Lifetime',
+            create: 'Create TAP for this user',
+            confirmTitle: 'Confirm Action',
+            searchPlaceholder: 'Search by name or UPN'
+        }
+    },
+    notifications: {
+        dismiss: 'Dismiss notification',
+        severity: {
+            success: 'Success',
+            info: 'Information',
+            warning: 'Warning',
+            error: 'Error'
+        },
+        history: {
+            open: 'Notifications',
+            title: 'Notification history',
+            close: 'Close history',
+            clear: 'Clear history',
+            empty: 'No notifications yet'
+        }
+    }
+});
@@ -0,0 +1,624 @@
+/**
+ * Catálogo de Mensajes en Español
+ * Idioma por defecto: las claves que falten en otros catálogos se muestran en español
+ */
+
+window.i18n.addCatalog('es', {
+    language: {
+        name: 'Español',
+        label: 'Idioma'
+    },
+    common: {
+        notAuthenticated: 'Usuario no autenticado',
+        initError: 'Error al inicializar la aplicación',
+        continue: 'Continuar',
+        retry: 'Volver a intentar',
+        cancel: 'Cancelar',
+        confirm: 'Confirmar',
+        save: 'Guardar',
+        refresh: 'Actualizar',
+        signIn: 'Iniciar Sesión',
+        authRequired: {
+            title: 'Autenticación Requerida'
+        },
+        header: {
+            accounts: 'Cuentas',
+            useAnotherAccount: 'Usar otra cuenta',
+            myMethods: 'Mis métodos',
+            back: 'Volver',
+            logout: 'Cerrar Sesión'
+        },
+        footer: '© 2024 Microsoft Passwordless Manager. Desarrollado con tecnología Microsoft Entra ID.'
+    },
+    auth: {
+        config: {
+            invalid: 'Configuración no válida: {errors}',
+            loadFailed: 'No se pudo cargar config.json ({message})',
+            cloud: 'cloud debe ser uno de: {values}',
+            clientId: 'clientId debe ser el GUID del registro de aplicación',
+            tenantId: 'tenantId debe ser el GUID o el dominio del tenant',
+            url: '{key} debe ser una URL https válida',
+            scopes: 'scopes debe ser una lista de permisos no vacía',
+            interactionMode: 'interactionMode debe ser uno de: {values}',
+            wizardSteps: 'wizardSteps debe ser una lista no vacía de identificadores de paso',
+            signInTestAuthContext: 'signInTestAuthContext debe ser un identificador de contexto de autenticación entre c1 y c99',
+            csp: '{key} ({origin}) no está permitido en {directives} de la política de seguridad de contenido; añádelo a la etiqueta Content-Security-Policy de cada página',
+            title: 'Error de Configuración',
+            description: 'El portal no está configurado correctamente. Revisa config.json antes de continuar.',
+            endUserHint: 'Si eres usuario final, contacta con el administrador del portal.'
+        },
+        consent: {
+            required: 'Se requiere consentimiento para {feature}',
+            grant: 'Conceder acceso',
+            deniedTitle: 'Permiso no concedido',
+            continueHint: 'Puedes seguir usando el resto del portal con normalidad.',
+            needsAdmin: 'Para {feature} hace falta la aprobación de un administrador de tu organización. Solicítala a tu equipo de soporte.',
+            denied: 'No has concedido el permiso necesario para {feature}.'
+        },
+        scopes: {
+            profile: 'leer tu perfil',
+            readOwnMethods: 'consultar tus métodos de autenticación',
+            manageOwnMethods: 'registrar y eliminar tus métodos de autenticación',
+            readPolicy: 'leer la política de Temporary Access Pass de tu organización',
+            manageOthersTAP: 'gestionar Temporary Access Pass de otros usuarios',
+            default: 'usar esta funcionalidad'
+        },
+        session: {
+            expiredError: 'Tu sesión ha caducado. Inicia sesión de nuevo para continuar.',
+            loggedOutElsewhere: 'Se cerró la sesión desde otra pestaña.',
+            expired: 'Tu sesión ha caducado.',
+            renew: 'Renovar sesión',
+            expiring: 'Tu sesión caducará a las {time}. Renuévala para no perder lo que estás haciendo.',
+            signInAgain: 'Iniciar sesión de nuevo'
+        },
+        errors: {
+            authentication: 'Error de autenticación: {message}',
+            notConfigured: 'La aplicación no está configurada',
+            login: 'Error al iniciar sesión: {message}',
+            logout: 'Error al cerrar sesión',
+            accountUnavailable: 'La cuenta seleccionada ya no está disponible',
+            verifyOtherAccount: 'La prueba se hizo con otra cuenta. Repítela con la cuenta en la que configuraste la passkey.',
+            claimsPopupBlocked: 'El navegador bloqueó la ventana para volver a verificar tu identidad. Permite las ventanas emergentes de este sitio y repite la operación.',
+            unknownScopeSet: 'Conjunto de permisos desconocido: {scopeSet}',
+            noSession: 'No hay sesión activa'
+        },
+        defaultUserName: 'Usuario'
+    },
+    graph: {
+        errors: {
+            generic: 'Error Graph API: {message}',
+            auth: 'Tu sesión ya no es válida. Inicia sesión de nuevo.',
+            claims: 'Tu organización exige una verificación adicional (por ejemplo, MFA) para esta operación. Inténtalo de nuevo y completa la verificación.',
+            permission: 'No tienes permisos para realizar esta operación.',
+            throttled: 'Microsoft Graph está limitando las solicitudes. Inténtalo de nuevo en unos segundos.',
+            notFound: 'El elemento solicitado ya no existe.',
+            policy: 'La política de tu organización no permite esta operación.',
+            withRequestId: '{message} (ID de solicitud: {requestId})'
+        }
+    },
+    wizard: {
+        steps: {
+            verify: {
+                title: 'Verificación',
+                action: 'Verificar Requisitos'
+            },
+            enroll: {
+                title: 'Configuración'
+            },
+            validate: {
+                title: 'Validación',
+                action: 'Validar Configuración'
+            },
+            removeSms: {
+                title: 'Eliminar SMS',
+                description: 'Los SMS y las llamadas se pueden interceptar. Ahora que puedes iniciar sesión sin contraseña, elimina los teléfonos de tu cuenta.',
+                none: 'Tu cuenta ya no tiene teléfonos registrados.',
+                remove: 'Eliminar',
+                phone: 'Teléfono terminado en {digits}',
+                removed: 'Teléfono eliminado de tu cuenta',
+                removeError: 'No se pudo eliminar el teléfono'
+            },
+            backupKey: {
+                title: 'Respaldo',
+                description: 'Registra una segunda passkey o llave de seguridad en Información de seguridad para no perder el acceso si pierdes el dispositivo principal.',
+                action: 'Comprobar ahora',
+                open: 'Abre',
+                securityInfo: 'Información de seguridad',
+                add: 'Selecciona "Agregar método de inicio de sesión" y registra otra passkey o llave de seguridad',
+                return: 'Vuelve a esta página y pulsa "Comprobar ahora"',
+                registered: 'Passkey de respaldo detectada en tu cuenta',
+                notDetected: 'Todavía no se detecta una segunda passkey en tu cuenta',
+                error: 'No se pudieron comprobar los métodos de tu cuenta'
+            }
+        },
+        requirements: {
+            isSecureContext: {
+                name: 'Conexión segura (HTTPS)',
+                remediation: 'Accede al portal mediante HTTPS. WebAuthn solo está disponible en contextos seguros.'
+            },
+            hasSupportedBrowser: {
+                name: 'Navegador compatible',
+                remediation: 'Usa una versión reciente de Microsoft Edge, Google Chrome, Firefox o Safari.'
+            },
+            hasWebAuthn: {
+                name: 'Soporte WebAuthn',
+                remediation: 'Tu navegador no admite WebAuthn. Actualízalo o cambia a un navegador compatible.'
+            },
+            hasPlatformAuthenticator: {
+                name: 'Autenticador de plataforma (Windows Hello, Touch ID)',
+                remediation: 'Configura Windows Hello, Touch ID o el bloqueo de pantalla del dispositivo, o usa una llave de seguridad FIDO2.'
+            },
+            hasConditionalMediation: {
+                name: 'Autocompletado de passkeys',
+                remediation: 'Tu navegador no ofrece passkeys en el autocompletado. Podrás iniciar sesión igualmente seleccionando la passkey manualmente.'
+            },
+            hasAuthenticator: {
+                name: 'Microsoft Authenticator registrado',
+                remediation: 'Instala Microsoft Authenticator y regístralo en tu cuenta desde https://aka.ms/mysecurityinfo.'
+            }
+        },
+        enrollment: {
+            paths: {
+                passkey: 'Passkey o llave de seguridad',
+                authenticator: 'Microsoft Authenticator',
+                windowsHello: 'Windows Hello para empresas'
+            }
+        },
+        errors: {
+            loadProgress: 'Error al cargar el progreso de la cuenta'
+        },
+        progress: {
+            expired: 'Tu progreso anterior caducó por inactividad. El asistente empieza de nuevo.',
+            resume: 'Tu última visita fue el {date}. Seguirás en el paso "{step}".',
+            reset: 'El asistente se ha reiniciado',
+            completed: 'Configuración completada',
+            step: 'Paso {position} de {total}'
+        },
+        stepper: {
+            label: 'Pasos del asistente',
+            status: {
+                completed: 'completado',
+                current: 'paso actual',
+                pending: 'pendiente'
+            }
+        },
+        navigation: {
+            completeOrSkip: 'Completa este paso o pulsa "Omitir" para continuar',
+            completeStep: 'Completa este paso para continuar'
+        },
+        verify: {
+            success: 'Requisitos verificados correctamente',
+            failed: 'Tu entorno no cumple los requisitos obligatorios. Revisa las indicaciones para continuar.',
+            error: 'Error al verificar requisitos',
+            status: {
+                met: 'Cumple',
+                notMet: 'No cumple',
+                recommended: 'Recomendado'
+            },
+            optional: '(opcional)',
+            allMet: 'Todos los requisitos obligatorios cumplidos',
+            fixRequired: { one: 'Corrige el requisito marcado para continuar', other: 'Corrige los {count} requisitos marcados para continuar' },
+            resultsTitle: 'Resultados de Verificación:'
+        },
+        enroll: {
+            waiting: 'Esperando a que el método aparezca en tu cuenta...',
+            notDetected: 'Todavía no se detecta {method} en tu cuenta. Cuando termines, pulsa "Comprobar ahora".',
+            success: 'Método registrado correctamente: {method}',
+            completedTitle: 'Configuración Completada',
+            registeredNamed: '{method} "{name}" se ha registrado en tu cuenta.',
+            registered: '{method} se ha registrado en tu cuenta.'
+        },
+        validate: {
+            inProgress: 'Validando configuración...',
+            noNewMethod: 'No se detectó ningún método passwordless nuevo en tu cuenta. Completa el paso de configuración e inténtalo de nuevo.',
+            testSignInRequired: 'Método detectado. Vuelve a iniciar sesión con él para completar la validación.',
+            error: 'Error al validar la configuración',
+            defaultMethodName: 'Método passwordless',
+            testFailed: 'El inicio de sesión de prueba no se completó',
+            testPassed: 'Has vuelto a iniciar sesión correctamente. Configuración validada.',
+            testPassedEnforced: 'Has iniciado sesión con un método sin contraseña que cumple la directiva de tu organización. Configuración validada.',
+            testPopupBlocked: 'El navegador bloqueó la ventana de inicio de sesión. Permite las ventanas emergentes de este sitio y vuelve a intentarlo.'
+        },
+        page: {
+            title: 'Passwordless Manager - Microsoft Entra ID',
+            subtitle: 'Transición segura a autenticación sin contraseña',
+            hero: {
+                title: 'Bienvenido a Passwordless',
+                description: 'Descubre una forma más segura y conveniente de acceder a tus aplicaciones sin contraseñas.',
+                security: 'Seguridad Mejorada',
+                fastAccess: 'Acceso Rápido',
+                multiDevice: 'Multi-dispositivo'
+            },
+            progress: {
+                title: 'Tu Progreso hacia Passwordless',
+                reset: 'Reiniciar asistente'
+            },
+            resume: {
+                title: 'Continúa donde lo dejaste',
+                restart: 'Empezar de nuevo'
+            },
+            verify: {
+                title: 'Verificación de Requisitos',
+                description: 'Verificaremos que tu entorno cumple con los requisitos para passwordless.',
+                requirementsTitle: 'Requisitos Necesarios:',
+                requirements: {
+                    device: 'Dispositivo con Windows 10/11 o dispositivo móvil compatible',
+                    authenticator: 'Microsoft Authenticator instalado (móvil)',
+                    windowsHello: 'Windows Hello habilitado (Windows)',
+                    browser: 'Navegador moderno con soporte WebAuthn',
+                    https: 'Conexión segura (HTTPS)'
+                },
+                loading: 'Verificando...'
+            },
+            enroll: {
+                title: 'Configuración de Métodos',
+                description: 'Configuraremos los métodos de autenticación passwordless para tu cuenta.',
+                choose: 'Elige cómo quieres iniciar sesión sin contraseña',
+                passkeyHint: 'Usa este dispositivo o una llave FIDO2',
+                authenticatorHint: 'Inicio de sesión con el teléfono',
+                windowsHelloHint: 'PIN o biometría en tu PC con Windows',
+                passkey: {
+                    title: 'Registrar Passkey o Llave de Seguridad',
+                    description: 'Microsoft Entra ID solo permite crear passkeys desde sus propias páginas, así que el registro se hace en Información de seguridad. Detectaremos la nueva passkey en cuanto aparezca en tu cuenta.',
+                    openBefore: 'Abre',
+                    securityInfo: 'Información de seguridad',
+                    openAfter: ', selecciona "Agregar método de inicio de sesión" y elige "Passkey" o "Llave de seguridad"',
+                    browser: 'Sigue las indicaciones del navegador para usar Windows Hello, Touch ID o tu llave de seguridad',
+                    return: 'Vuelve a esta página: el paso se completará solo'
+                },
+                authenticator: {
+                    title: 'Inicio de Sesión con Microsoft Authenticator',
+                    download: 'Descarga Microsoft Authenticator desde la tienda de aplicaciones de tu móvil',
+                    scan: 'Escanea el código QR que se muestra con la aplicación',
+                    enable: 'En la aplicación, abre tu cuenta y selecciona "Habilitar el inicio de sesión con el teléfono"',
+                    openBefore: 'Abre',
+                    securityInfo: 'Información de seguridad',
+                    openAfter: ', selecciona "Agregar método de inicio de sesión" y elige "Aplicación de autenticación"'
+                },
+                windowsHello: {
+                    title: 'Configuración Windows Hello para Empresas',
+                    deviceHint: 'Este dispositivo no es un PC con Windows. Realiza estos pasos desde tu equipo Windows unido a la organización.',
+                    signIn: 'Inicia sesión en tu PC con Windows con tu cuenta de trabajo',
+                    settings: 'Ve a Configuración > Cuentas > Opciones de inicio de sesión',
+                    pin: 'Configura el PIN (Windows Hello) y, si tu equipo lo permite, huella o reconocimiento facial',
+                    verify: 'Completa la verificación adicional que te pida Windows'
+                },
+                checkNow: 'Comprobar ahora'
+            },
+            validate: {
+                title: 'Validación Final',
+                description: 'Validaremos que todo está configurado correctamente.',
+                testsTitle: 'Pruebas de Seguridad',
+                testsIntro: 'Realizaremos las siguientes validaciones:',
+                tests: {
+                    primary: 'Verificación de método de autenticación principal',
+                    passwordless: 'Prueba de autenticación sin contraseña',
+                    backup: 'Validación de respaldo de autenticación',
+                    tenant: 'Confirmación de configuración del tenant'
+                },
+                testSignIn: {
+                    title: 'Inicio de Sesión de Prueba',
+                    description: 'Hemos detectado estos métodos nuevos en tu cuenta. Vuelve a iniciar sesión en Microsoft con tu nuevo método para comprobar que funciona y completar la validación:',
+                    action: 'Probar Inicio de Sesión'
+                }
+            },
+            navigation: {
+                previous: 'Anterior',
+                skip: 'Omitir',
+                next: 'Siguiente',
+                complete: 'Completar Configuración'
+            },
+            completion: {
+                title: '¡Configuración Completada!',
+                description: 'Has habilitado exitosamente la autenticación sin contraseña en tu cuenta.',
+                nextTitle: '¿Qué sigue?',
+                next: {
+                    tap: 'Puedes generar Temporary Access Pass para acceso temporal',
+                    authenticator: 'Usa Microsoft Authenticator para iniciar sesión',
+                    windowsHello: 'Aprovecha Windows Hello en tus dispositivos Windows',
+                    secure: 'Tu cuenta ahora es más segura y conveniente'
+                },
+                startOver: 'Comenzar de Nuevo',
+                imageAlt: 'Éxito'
+            },
+            resetModal: {
+                title: 'Reiniciar Asistente',
+                description: 'Se borrará tu progreso en el asistente y empezarás desde el primer paso. Los métodos ya registrados en tu cuenta no se modifican.',
+                confirm: 'Reiniciar'
+            },
+            authRequired: 'Debes iniciar sesión con tu cuenta Microsoft para continuar con la configuración passwordless.'
+        }
+    },
+    readiness: {
+        title: 'Preparación passwordless',
+        allPassed: 'Tu cuenta cumple todas las recomendaciones.',
+        levels: {
+            excellent: 'Excelente',
+            inProgress: 'En progreso',
+            initial: 'Inicial'
+        },
+        rules: {
+            hasPasswordless: {
+                recommendation: 'Registra un método sin contraseña: una passkey, Windows Hello para empresas o el inicio de sesión con el teléfono de Microsoft Authenticator.',
+                action: 'Iniciar configuración'
+            },
+            hasPhishingResistant: {
+                recommendation: 'Añade un método resistente al phishing, como una passkey o Windows Hello para empresas.',
+                action: 'Registrar passkey'
+            },
+            hasBackupPasswordless: {
+                recommendation: 'Añade una segunda passkey o método sin contraseña como respaldo por si pierdes el dispositivo.',
+                action: 'Registrar otro método'
+            },
+            authenticatorPhoneSignIn: {
+                recommendation: 'Microsoft Authenticator está registrado pero sin el inicio de sesión con el teléfono. Actívalo en la aplicación: selecciona tu cuenta y elige "Habilitar el inicio de sesión con el teléfono".'
+            },
+            noPhoneMethods: {
+                recommendation: 'Todavía tienes un teléfono (SMS o llamada) como método. Es vulnerable al phishing y al robo de SIM; elimínalo ahora que tienes un método sin contraseña.',
+                action: 'Ver mis métodos'
+            },
+            noLeftoverTAP: {
+                recommendation: 'Tienes un Temporary Access Pass todavía utilizable. Elimínalo si ya completaste la configuración.',
+                action: 'Ver mis métodos'
+            }
+        }
+    },
+    methods: {
+        types: {
+            passwordMethods: 'Contraseña',
+            fido2Methods: 'Llave de seguridad FIDO2',
+            microsoftAuthenticatorMethods: 'Microsoft Authenticator',
+            windowsHelloForBusinessMethods: 'Windows Hello para empresas',
+            platformCredentialMethods: 'Credencial de plataforma (macOS)',
+            phoneMethods: 'Teléfono',
+            emailMethods: 'Correo electrónico',
+            softwareOathMethods: 'Token OATH de software',
+            temporaryAccessPassMethods: 'Temporary Access Pass'
+        },
+        details: {
+            lastChanged: 'Último cambio',
+            name: 'Nombre',
+            model: 'Modelo',
+            device: 'Dispositivo',
+            appVersion: 'Versión de la aplicación',
+            keyStrength: 'Seguridad de la clave',
+            number: 'Número',
+            type: 'Tipo',
+            address: 'Dirección',
+            lifetime: 'Duración',
+            status: 'Estado',
+            registered: 'Registrado'
+        },
+        phoneTypes: {
+            mobile: 'Móvil',
+            alternateMobile: 'Móvil alternativo',
+            office: 'Oficina'
+        },
+        usable: 'Utilizable',
+        notUsable: 'No utilizable',
+        loading: 'Cargando métodos...',
+        loadError: 'Error al cargar tus métodos: {message}',
+        empty: 'No tienes métodos de autenticación registrados',
+        passwordlessBadge: 'Sin contraseña',
+        edit: 'Editar',
+        remove: 'Eliminar',
+        lastPasswordless: 'No puedes eliminar {method} porque es tu único método sin contraseña. Registra otro método sin contraseña antes de eliminarlo.',
+        lastStrong: 'No puedes eliminar {method} porque es tu único método de verificación en dos pasos. Registra otro método, como una passkey, antes de eliminarlo.',
+        confirmRemoval: 'Vas a eliminar {method} de tu cuenta. No podrás volver a usarlo para iniciar sesión.',
+        removed: '{method} eliminado correctamente',
+        removeError: 'Error al eliminar el método: {message}',
+        updated: '{method} actualizado correctamente',
+        updateError: 'Error al actualizar el método: {message}',
+        editor: {
+            phoneLabel: 'Nuevo número de teléfono',
+            phoneHint: 'Incluye el prefijo del país seguido de un espacio y el número.',
+            emailLabel: 'Nueva dirección de correo',
+            emailPlaceholder: 'nombre@ejemplo.com',
+            emailHint: 'Usa una dirección personal distinta de tu cuenta de trabajo.',
+            invalidPhone: 'Introduce el número con el formato "+<prefijo> <número>", por ejemplo +34 612345678',
+            invalidEmail: 'Introduce una dirección de correo válida'
+        },
+        page: {
+            title: 'Mis Métodos - Passwordless Manager',
+            subtitle: 'Mis métodos de autenticación',
+            hero: {
+                title: 'Mis Métodos de Autenticación',
+                description: 'Revisa los métodos registrados en tu cuenta y elimina los que ya no uses.'
+            },
+            listTitle: 'Métodos registrados',
+            listHint: 'Tu último método sin contraseña no se puede eliminar hasta que registres otro.',
+            renameHint: 'Microsoft Graph no permite cambiar el nombre de una passkey ni de un dispositivo: para renombrarlo, registra uno nuevo con el nombre que quieras y elimina el anterior.',
+            removeTitle: 'Eliminar Método',
+            editTitle: 'Editar Método',
+            authRequired: 'Inicia sesión de nuevo con tu cuenta Microsoft para seguir gestionando tus métodos de autenticación.'
+        }
+    },
+    tap: {
+        policyRange: 'La política del tenant permite entre {min} y {max}',
+        startInPast: 'La fecha de activación debe estar en el futuro',
+        generateError: 'Error al generar TAP: {message}',
+        usableOnceEnforced: 'La política de tu organización exige que todos los TAPs sean de uso único',
+        policyInfo: 'Política de tu organización: duración entre {min} y {max} (predeterminada: {default}).',
+        policyUnavailable: 'No se ha podido comprobar la política de Temporary Access Pass de tu organización (requiere permisos de administrador). Microsoft Graph aplicará sus límites al generar el TAP.',
+        policyDisabled: 'El Temporary Access Pass está deshabilitado en tu organización. Contacta con tu administrador.',
+        policyNotIncluded: 'Tu cuenta no está incluida en la política de Temporary Access Pass de tu organización. Solicita a tu administrador que te agregue.',
+        policyDeniedForUser: 'La política de Temporary Access Pass no permite crear un TAP para {user}.',
+        syncError: 'No se pudo sincronizar el historial con el servidor',
+        deleted: 'TAP eliminado exitosamente',
+        deleteError: 'Error al eliminar TAP: {message}',
+        expires: 'Expira: {date}',
+        starts: 'Se activa: {date}',
+        forUser: 'Para: {user}',
+        nothingToCopy: 'No hay TAP para copiar',
+        copied: 'TAP copiado al portapapeles',
+        copiedButton: '¡Copiado!',
+        copyError: 'Error al copiar TAP',
+        display: {
+            masked: 'Código oculto',
+            reveal: 'Mostrar código',
+            conceal: 'Ocultar código'
+        },
+        qr: {
+            label: 'Código QR con el enlace de inicio de sesión y el TAP de {user}',
+            masked: 'Código QR oculto hasta mostrar el código',
+            caption: 'Escanéalo para abrir {url}',
+            error: 'No se pudo generar el código QR'
+        },
+        slip: {
+            nothingToPrint: 'No hay ningún TAP que imprimir',
+            title: 'Temporary Access Pass',
+            subtitle: 'Acceso temporal para configurar tu cuenta sin contraseña',
+            user: 'Usuario',
+            pass: 'Código de acceso',
+            activation: 'Se activa',
+            expiry: 'Expira',
+            usage: 'Uso',
+            usableOnce: 'Válido para un solo inicio de sesión',
+            instructionsTitle: 'Instrucciones',
+            instructions: {
+                open: 'Abre {url} o escanea el código QR.',
+                signIn: 'Inicia sesión con tu usuario {user}.',
+                enterPass: 'Cuando se te pida, introduce el código de acceso en lugar de la contraseña.',
+                setup: 'Configura un método sin contraseña antes del {date}.'
+            },
+            confidential: 'Documento confidencial: no lo compartas y destrúyelo en cuanto hayas usado el código.'
+        },
+        signInFirst: 'Debe iniciar sesión primero',
+        generating: 'Generando...',
+        generateAnother: 'Generar Nuevo TAP',
+        generate: 'Generar TAP',
+        countdown: {
+            pending: 'Aún no activo. Se activa en: {duration}',
+            expired: 'TAP expirado',
+            remaining: 'Tiempo restante: {duration}',
+            remainingLow: 'Tiempo restante: {duration}. Queda poco tiempo',
+            remainingCritical: 'Tiempo restante: {duration}. A punto de expirar',
+            activated: 'El TAP ya está activo',
+            milestone: { one: 'Queda {count} minuto de validez del TAP', other: 'Quedan {count} minutos de validez del TAP' }
+        },
+        status: {
+            active: 'ACTIVO',
+            removedOnServer: 'ELIMINADO EN EL SERVIDOR',
+            expired: 'EXPIRADO',
+            used: 'YA UTILIZADO',
+            pending: 'AÚN NO ACTIVO'
+        },
+        history: {
+            empty: 'No hay TAPs generados',
+            usableOnce: 'Uso Único',
+            serverOnly: 'Creado en otro dispositivo',
+            user: 'Usuario: {user}',
+            created: 'Creado: {date}',
+            startsIn: 'Se activa: {date} (en {duration})',
+            lifetime: 'Duración: {lifetime}',
+            removeEntry: 'Quitar del historial',
+            delete: 'Eliminar TAP',
+            deleteLabel: '{action}: TAP creado el {date}'
+        },
+        page: {
+            title: 'Generar TAP - Passwordless Manager',
+            subtitle: 'Generador de Temporary Access Pass',
+            hero: {
+                title: 'Generar Temporary Access Pass',
+                description: 'Crea un código de acceso temporal seguro para autenticación de emergencia o configuración inicial.',
+                temporary: 'Temporal',
+                secure: 'Seguro',
+                multiFactor: 'Multi-factor'
+            },
+            form: {
+                title: 'Configurar TAP',
+                description: 'Personaliza la configuración de tu Temporary Access Pass',
+                lifetime: 'Tiempo de Vida (minutos)',
+                lifetimeHint: 'El TAP expirará automáticamente después de este tiempo',
+                restrictions: 'Restricciones de Uso',
+                usableOnce: 'Uso único',
+                usableOnceHint: 'Si se marca, el TAP solo podrá usarse una vez',
+                startDateTime: 'Activación Programada (opcional)',
+                startDateTimeHint: 'Déjalo vacío para que el TAP sea válido de inmediato',
+                timeZone: 'Zona Horaria',
+                timeZoneHint: 'La hora de activación se interpreta en esta zona horaria',
+                infoTitle: 'Información Importante',
+                info: {
+                    ownAccount: '• El TAP es válido solo para tu cuenta',
+                    doNotShare: '• No compartas el código con nadie',
+                    shownOnce: '• El código se mostrará solo una vez',
+                    keepSafe: '• Guárdalo en un lugar seguro temporalmente'
+                }
+            },
+            display: {
+                title: 'Tu Temporary Access Pass',
+                description: 'Este código es temporal y confidencial',
+                expires: 'Expira:',
+                status: 'Estado:',
+                copy: 'Copiar Código',
+                print: 'Imprimir hoja',
+                hide: 'Ocultar TAP'
+            },
+            history: {
+                title: 'Historial de TAPs',
+                empty: 'No hay TAPs generados aún',
+                emptyHint: 'Los TAPs generados aparecerán aquí'
+            },
+            tips: {
+                title: 'Mejores Prácticas de Seguridad',
+                doNotShare: {
+                    title: 'No Compartas',
+                    description: 'Nunca compartas tu TAP con nadie, incluso con el soporte técnico'
+                },
+                temporary: {
+                    title: 'Uso Temporal',
+                    description: 'Los TAPs son para uso temporal. No los uses como método principal'
+                },
+                hide: {
+                    title: 'Oculta el Código',
+                    description: 'Asegúrate de que nadie más vea el código cuando lo uses'
+                }
+            },
+            authRequired: 'Inicia sesión de nuevo con tu cuenta Microsoft para seguir gestionando Temporary Access Pass.'
+        }
+    },
+    tapAdmin: {
+        roles: {
+            globalAdministrator: 'Administrador global',
+            privilegedAuthenticationAdministrator: 'Administrador de autenticación con privilegios',
+            authenticationAdministrator: 'Administrador de autenticación'
+        },
+        loadMethodsError: 'Error al cargar los métodos del usuario: {message}',
+        noUsersFound: 'No se encontraron usuarios',
+        noMethods: 'El usuario no tiene métodos registrados',
+        noTAP: 'El usuario no tiene un TAP activo',
+        usable: 'UTILIZABLE',
+        notUsable: 'NO UTILIZABLE',
+        revoke: 'Revocar TAP',
+        revokeLabel: 'Revocar TAP de {user}',
+        confirmCreate: 'Vas a crear un Temporary Access Pass para {user}. Cualquier TAP existente del usuario será reemplazado.',
+        confirmRevoke: 'Vas a revocar el Temporary Access Pass de {user}. El usuario no podrá volver a utilizarlo.',
+        searchError: 'Error al buscar usuarios: {message}',
+        page: {
+            title: 'Administración de TAPs',
+            description: 'Emite o revoca TAPs para otros usuarios. Rol:',
+            search: 'Buscar',
+            currentTAP: 'Temporary Access Pass actual',
+            lifetime: 'Tiempo de Vida',
+            create: 'Crear TAP para este usuario',
+            confirmTitle: 'Confirmar Acción',
+            searchPlaceholder: 'Buscar por nombre o UPN'
+        }
+    },
+    notifications: {
+        dismiss: 'Cerrar notificación',
+        severity: {
+            success: 'Éxito',
+            info: 'Información',
+            warning: 'Advertencia',
+            error: 'Error'
+        },
+        history: {
+            open: 'Notificaciones',
+            title: 'Historial de notificaciones',
+            close: 'Cerrar historial',
+            clear: 'Borrar historial',
+            empty: 'Todavía no hay notificaciones'
+        }
+    }
+});
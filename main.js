@@ -3,11 +3,67 @@
  * Controla el flujo de usuario, estados y navegación
  */
 
+// Requisitos comprobados en el paso 1. Los obligatorios bloquean el avance del wizard.
+// Nombre e indicaciones de cada requisito: catálogos, wizard.requirements.<requisito>.
+const REQUIREMENT_DEFINITIONS = {
+    isSecureContext: {
+        required: true
+    },
+    hasSupportedBrowser: {
+        required: true
+    },
+    hasWebAuthn: {
+        required: true
+    },
+    hasPlatformAuthenticator: {
+        required: false
+    },
+    hasConditionalMediation: {
+        required: false
+    },
+    hasAuthenticator: {
+        required: false
+    }
+};
+
+// Caminos de registro del paso 2. Todos se completan fuera del portal y se detectan
+// consultando los métodos de la cuenta hasta que aparece uno nuevo del tipo esperado.
+// Las passkeys también: Entra las crea con rp.id login.microsoft.com y el navegador
+// no permite registrarlas desde el origen del portal.
+// El nombre de cada camino está en los catálogos (wizard.enrollment.paths.<camino>).
+const ENROLLMENT_PATHS = {
+    passkey: {
+        methodType: '#microsoft.graph.fido2AuthenticationMethod'
+    },
+    authenticator: {
+        methodType: '#microsoft.graph.microsoftAuthenticatorAuthenticationMethod'
+    },
+    windowsHello: {
+        methodType: '#microsoft.graph.windowsHelloForBusinessAuthenticationMethod'
+    }
+};
+
+const ENROLLMENT_POLL_INTERVAL_MS = 10 * 1000;
+const ENROLLMENT_POLL_TIMEOUT_MS = 15 * 60 * 1000;
+
+// El progreso sin actividad durante más tiempo se descarta y el asistente empieza de nuevo
+const PROGRESS_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
 class PasswordlessManager {
     constructor() {
-        this.currentStep = 1;
-        this.totalSteps = 3;
-        this.userProgress = this.loadProgress();
+        this.wizard = new WizardEngine(window.wizardSteps);
+        this.activeStepId = null;
+        this.visibleView = null;
+        this.accountMethods = [];
+        this.isInitialized = false;
+        this.enrollmentPollTimer = null;
+        this.enrollmentPollStartedAt = null;
+        this.lastVisitAt = null;
+        this.progressExpired = false;
+        this.lastRequirements = null;
+        this.enrolledMethod = null;
+        // El progreso se carga por cuenta cuando la sesión está lista
+        this.userProgress = this.getDefaultProgress();
         this.init();
     }
 
@@ -15,23 +71,136 @@ class PasswordlessManager {
         document.addEventListener('DOMContentLoaded', () => {
             this.initializeApp();
         });
+
+        // Recargar el progreso al cambiar de cuenta
+        window.addEventListener('auth:accountchanged', () => {
+            this.handleAccountChanged();
+        });
+
+        // Inicio de sesión en ventana emergente: la página no se recarga
+        window.addEventListener('auth:signedin', () => {
+            // Tras recuperar una sesión caducada se conserva el paso en curso
+            if (!this.isInitialized) {
+                this.initializeApp();
+            }
+        });
+
+        window.addEventListener('auth:sessionlost', () => {
+            this.stopEnrollmentPolling();
+        });
+
+        // Volver a pintar el contenido generado en el idioma elegido
+        window.addEventListener('i18n:localechanged', () => {
+            this.handleLocaleChanged();
+        });
+
+        // Guardar el paso actual antes de salir de la página para iniciar sesión o dar consentimiento
+        window.addEventListener('auth:beforeredirect', (event) => {
+            event.detail.modules.wizard = {
+                currentStepId: this.wizard.currentStep ? this.wizard.currentStep.id : null
+            };
+        });
+    }
+
+    restoreWizardState() {
+        const restored = window.authManager.takeRestoredState('wizard');
+        if (!restored) return false;
+
+        // Un wizard ya completado no vuelve a un paso anterior
+        if (!this.wizard.completed && restored.currentStepId) {
+            this.wizard.goTo(restored.currentStepId);
+        }
+
+        return true;
+    }
+
+    async handleAccountChanged() {
+        // Sin inicializar, initializeApp ya carga el progreso de la cuenta
+        if (!this.isInitialized) return;
+
+        this.stopEnrollmentPolling();
+        this.clearStepResults();
+
+        try {
+            this.wizard.reset();
+            this.showWizard();
+            // Con otra cuenta la vista se pinta desde cero: no hay paso anterior al que seguir el foco
+            this.visibleView = null;
+
+            await this.loadUserProgress();
+            this.updateUI();
+            this.offerResume();
+        } catch (error) {
+            console.error('Error cambiando de cuenta:', error);
+            this.showError(window.i18n.t('wizard.errors.loadProgress'));
+        }
+    }
+
+    handleLocaleChanged() {
+        if (!this.isInitialized) return;
+
+        // Solo se reescriben los textos: volver a mostrar el paso reiniciaría animaciones y consultas
+        this.updateProgressBar();
+        this.renderStepIndicators();
+        this.wizard.steps.forEach(step => {
+            const element = document.querySelector(`[data-step-content="${step.id}"]`);
+            if (element) this.labelStepElement(element, step);
+        });
+
+        const step = this.wizard.currentStep;
+        if (step) this.renderStepContent(step);
+
+        if (this.lastRequirements) this.displayVerificationResults(this.lastRequirements);
+        if (this.enrolledMethod) this.renderEnrollmentStatus();
+
+        const resumePrompt = document.getElementById('resumePrompt');
+        if (resumePrompt && !resumePrompt.classList.contains('hidden')) this.offerResume();
+    }
+
+    getProgressKey() {
+        // Sin cuenta no hay dónde guardar el progreso
+        if (!window.authManager || !window.authManager.currentUser) {
+            return null;
+        }
+        return window.authManager.getAccountStorageKey('passwordlessProgress');
     }
 
     async initializeApp() {
         try {
+            // Esperar a que la configuración y MSAL estén listos
+            if (window.authManager) {
+                await window.authManager.ready;
+            }
+
             // Verificar autenticación
             if (window.authManager && window.authManager.isAuthenticated) {
+                this.configureWizard();
                 await this.loadUserProgress();
+                const restored = this.restoreWizardState();
                 this.setupEventListeners();
                 this.updateUI();
                 this.initializeAnimations();
+
+                // Al volver de un inicio de sesión el usuario ya está en su paso; no hace falta preguntar
+                if (!restored) {
+                    this.offerResume();
+                }
+                this.isInitialized = true;
             } else {
                 // Redirigir a autenticación si no está autenticado
-                this.showAuthenticationRequired();
+                window.authManager.showAuthRequired();
             }
         } catch (error) {
             console.error('Error inicializando aplicación:', error);
-            this.showError('Error al inicializar la aplicación');
+            this.showError(window.i18n.t('common.initError'));
+        }
+    }
+
+    configureWizard() {
+        // Cada organización define su flujo en config.json sin modificar este archivo
+        const stepIds = window.authManager.config.wizardSteps;
+        if (stepIds) {
+            this.wizard.setStepIds(stepIds);
         }
     }
 
@@ -39,41 +208,131 @@ class PasswordlessManager {
         try {
             // Verificar estado passwordless del usuario
             const passwordlessStatus = await window.authManager.checkPasswordlessStatus();
-            
-            // Determinar paso actual basado en el estado
-            if (passwordlessStatus.hasPasswordless) {
-                this.currentStep = 4; // Completado
+            this.accountMethods = passwordlessStatus.allMethods;
+
+            // Un wizard empezado se retoma aunque ya haya registrado un método passwordless
+            const saved = this.loadProgress();
+            const inProgress = (saved.startedAt || Object.keys(saved.completedSteps).length > 0) && !saved.completedAt;
+            this.lastVisitAt = saved.updatedAt;
+
+            if (this.progressExpired) {
+                this.progressExpired = false;
+                this.showInfo(window.i18n.t('wizard.progress.expired'));
+            }
+
+            if (passwordlessStatus.hasPasswordless && !inProgress) {
                 this.userProgress = {
-                    step1: true,
-                    step2: true,
-                    step3: true,
+                    ...this.getDefaultProgress(),
+                    completedSteps: Object.fromEntries(this.wizard.stepIds.map(id => [id, true])),
                     passwordlessEnabled: true,
                     methods: passwordlessStatus.methods
                 };
+                this.wizard.buildFlow(this.getWizardContext());
+                this.wizard.complete();
             } else {
-                // Cargar progreso guardado o empezar desde el principio
-                this.userProgress = this.loadProgress();
+                // Cargar progreso guardado o empezar desde el principio si ya se completó
+                // (la cuenta ha perdido desde entonces sus métodos passwordless)
+                this.userProgress = saved.completedAt ? this.getDefaultProgress() : saved;
+
+                // Recordar los métodos existentes al iniciar el wizard para detectar los nuevos en la validación
+                if (!Array.isArray(this.userProgress.baselineMethodIds) && !passwordlessStatus.error) {
+                    this.userProgress.baselineMethodIds = passwordlessStatus.methods.map(method => method.id);
+                    this.userProgress.startedAt = this.userProgress.startedAt || new Date().toISOString();
+                    this.saveProgress();
+                }
+
+                // Retomar el último paso visitado
+                this.wizard.buildFlow(this.getWizardContext());
+                if (this.userProgress.currentStepId) {
+                    this.wizard.goTo(this.userProgress.currentStepId);
+                }
             }
         } catch (error) {
             console.error('Error cargando progreso:', error);
             this.userProgress = this.getDefaultProgress();
+            this.wizard.buildFlow(this.getWizardContext());
         }
     }
 
+    async refreshMethods() {
+        // Las condiciones y validaciones de los pasos dependen de los métodos actuales de la cuenta
+        const passwordlessStatus = await window.authManager.checkPasswordlessStatus();
+        if (!passwordlessStatus.error) {
+            this.accountMethods = passwordlessStatus.allMethods;
+        }
+    }
+
+    getWizardContext() {
+        return {
+            progress: this.userProgress,
+            methods: this.accountMethods,
+            passwordlessMethods: this.accountMethods.filter(method => {
+                const type = AUTH_METHOD_TYPES[method['@odata.type']];
+                return type && type.passwordless;
+            }),
+            manager: this,
+            refresh: () => this.refreshCurrentStep()
+        };
+    }
+
+    async refreshCurrentStep() {
+        await this.refreshMethods();
+
+        const step = this.wizard.currentStep;
+        if (step) {
+            this.renderStepContent(step);
+        }
+    }
+
+    setStepComplete(stepId, completed = true) {
+        if (completed) {
+            this.userProgress.completedSteps[stepId] = new Date().toISOString();
+        } else {
+            delete this.userProgress.completedSteps[stepId];
+        }
+        this.saveProgress();
+    }
+
     getDefaultProgress() {
         return {
-            step1: false,
-            step2: false,
-            step3: false,
+            completedSteps: {},
+            skippedSteps: {},
+            currentStepId: null,
+            startedAt: null,
+            updatedAt: null,
+            completedAt: null,
             passwordlessEnabled: false,
-            methods: []
+            methods: [],
+            baselineMethodIds: null,
+            enrollmentPath: null
         };
     }
 
     loadProgress() {
         try {
-            const saved = localStorage.getItem('passwordlessProgress');
-            return saved ? JSON.parse(saved) : this.getDefaultProgress();
+            const key = this.getProgressKey();
+            const saved = key ? localStorage.getItem(key) : null;
+            if (!saved) return this.getDefaultProgress();
+
+            const progress = { ...this.getDefaultProgress(), ...JSON.parse(saved) };
+
+            if (progress.updatedAt && Date.now() - new Date(progress.updatedAt).getTime() > PROGRESS_MAX_AGE_MS) {
+                localStorage.removeItem(key);
+                this.progressExpired = true;
+                return this.getDefaultProgress();
+            }
+
+            // Progreso guardado cuando el wizard tenía tres pasos fijos
+            if (progress.step3 && !progress.completedAt) {
+                progress.completedAt = new Date().toISOString();
+            }
+            ['verify', 'enroll', 'validate'].forEach((stepId, index) => {
+                const legacyKey = `step${index + 1}`;
+                if (progress[legacyKey]) progress.completedSteps[stepId] = true;
+                delete progress[legacyKey];
+            });
+
+            return progress;
         } catch (error) {
             console.error('Error cargando progreso desde localStorage:', error);
             return this.getDefaultProgress();
@@ -81,8 +340,12 @@ class PasswordlessManager {
     }
 
     saveProgress() {
+        const key = this.getProgressKey();
+        if (!key) return;
+
         try {
-            localStorage.setItem('passwordlessProgress', JSON.stringify(this.userProgress));
+            this.userProgress.updatedAt = new Date().toISOString();
+            localStorage.setItem(key, JSON.stringify(this.userProgress));
         } catch (error) {
             console.error('Error guardando progreso:', error);
         }
@@ -93,6 +356,7 @@ class PasswordlessManager {
         const nextBtn = document.getElementById('nextStepBtn');
         const prevBtn = document.getElementById('prevStepBtn');
         const completeBtn = document.getElementById('completeSetupBtn');
+        const skipBtn = document.getElementById('skipStepBtn');
         const generateTapBtn = document.getElementById('generateTapBtn');
 
         if (nextBtn) {
@@ -104,52 +368,174 @@ class PasswordlessManager {
         }
 
         if (completeBtn) {
-            completeBtn.addEventListener('click', () => this.completeSetup());
+            completeBtn.addEventListener('click', () => this.nextStep());
+        }
+
+        if (skipBtn) {
+            skipBtn.addEventListener('click', () => this.skipStep());
         }
 
         if (generateTapBtn) {
             generateTapBtn.addEventListener('click', () => this.navigateToTAP());
         }
 
+        this.setupProgressListeners();
+
         // Botones de acción específicos de cada paso
         this.setupStepSpecificListeners();
     }
 
     setupStepSpecificListeners() {
-        // Paso 1: Información y verificación
-        const verifyBtn = document.getElementById('verifyRequirementsBtn');
-        if (verifyBtn) {
-            verifyBtn.addEventListener('click', () => this.verifyRequirements());
+        // La acción principal de cada paso ([data-step-action]) se asocia al mostrarlo
+
+        // Configuración de métodos
+        document.querySelectorAll('input[name="enrollmentPath"]').forEach(input => {
+            input.addEventListener('change', () => this.selectEnrollmentPath(input.value));
+        });
+
+        const checkEnrollmentBtn = document.getElementById('checkEnrollmentBtn');
+        if (checkEnrollmentBtn) {
+            checkEnrollmentBtn.addEventListener('click', () => this.checkEnrollment());
         }
 
-        // Paso 2: Configuración de métodos
-        const setupMethodsBtn = document.getElementById('setupMethodsBtn');
-        if (setupMethodsBtn) {
-            setupMethodsBtn.addEventListener('click', () => this.setupAuthenticationMethods());
+        // Validación final
+        const testSignInBtn = document.getElementById('testSignInBtn');
+        if (testSignInBtn) {
+            testSignInBtn.addEventListener('click', () => this.runTestSignIn());
         }
+    }
 
-        // Paso 3: Validación final
-        const validateBtn = document.getElementById('validateSetupBtn');
-        if (validateBtn) {
-            validateBtn.addEventListener('click', () => this.validateSetup());
+    setupProgressListeners() {
+        const resumePrompt = document.getElementById('resumePrompt');
+        const resetModal = document.getElementById('resetProgressModal');
+
+        const resumeContinueBtn = document.getElementById('resumeContinueBtn');
+        if (resumeContinueBtn) {
+            resumeContinueBtn.addEventListener('click', () => resumePrompt.classList.add('hidden'));
+        }
+
+        const resumeRestartBtn = document.getElementById('resumeRestartBtn');
+        if (resumeRestartBtn) {
+            resumeRestartBtn.addEventListener('click', () => {
+                resumePrompt.classList.add('hidden');
+                this.resetProgress();
+            });
+        }
+
+        const resetBtn = document.getElementById('resetProgressBtn');
+        if (resetBtn && resetModal) {
+            resetBtn.addEventListener('click', () => resetModal.classList.remove('hidden'));
+        }
+
+        const resetCancelBtn = document.getElementById('resetCancelBtn');
+        if (resetCancelBtn) {
+            resetCancelBtn.addEventListener('click', () => resetModal.classList.add('hidden'));
+        }
+
+        const resetConfirmBtn = document.getElementById('resetConfirmBtn');
+        if (resetConfirmBtn) {
+            resetConfirmBtn.addEventListener('click', () => {
+                resetModal.classList.add('hidden');
+                if (resumePrompt) resumePrompt.classList.add('hidden');
+                this.resetProgress();
+            });
+        }
+    }
+
+    offerResume() {
+        const resumePrompt = document.getElementById('resumePrompt');
+        if (!resumePrompt) return;
+
+        // Solo se ofrece si hay algún paso hecho antes de esta visita
+        const step = this.wizard.currentStep;
+        const hasProgress = !!step && !!this.lastVisitAt && Object.keys(this.userProgress.completedSteps).length > 0;
+        resumePrompt.classList.toggle('hidden', !hasProgress);
+        if (!hasProgress) return;
+
+        const resumeText = document.getElementById('resumePromptText');
+        if (resumeText) {
+            resumeText.textContent = window.i18n.t('wizard.progress.resume', {
+                date: window.i18n.formatDateTime(this.lastVisitAt),
+                step: window.i18n.t(step.title)
+            });
+        }
+    }
+
+    resetProgress() {
+        this.stopEnrollmentPolling();
+
+        const key = this.getProgressKey();
+        if (key) localStorage.removeItem(key);
+
+        // Los métodos actuales pasan a ser la referencia para detectar los nuevos
+        this.userProgress = {
+            ...this.getDefaultProgress(),
+            baselineMethodIds: this.accountMethods.map(method => method.id),
+            startedAt: new Date().toISOString()
+        };
+
+        this.wizard.reset();
+        this.wizard.buildFlow(this.getWizardContext());
+        this.saveProgress();
+
+        this.clearStepResults();
+        this.showWizard();
+        this.updateUI();
+        this.showInfo(window.i18n.t('wizard.progress.reset'));
+    }
+
+    clearStepResults() {
+        this.lastRequirements = null;
+        this.enrolledMethod = null;
+
+        ['verificationResults', 'enrollmentStatus', 'newMethodsList'].forEach(id => {
+            const element = document.getElementById(id);
+            window.htmlRenderer.clear(element);
+        });
+
+        const testContainer = document.getElementById('testSignInContainer');
+        if (testContainer) testContainer.classList.add('hidden');
+    }
+
+    showWizard() {
+        const wizardContainer = document.getElementById('wizardContainer');
+        const completionContainer = document.getElementById('completionScreen');
+        if (wizardContainer) wizardContainer.classList.remove('hidden');
+        if (completionContainer) completionContainer.classList.add('hidden');
+    }
+
+    rememberCurrentStep() {
+        const step = this.wizard.currentStep;
+        if (step && this.userProgress.currentStepId !== step.id) {
+            this.userProgress.currentStepId = step.id;
+            this.saveProgress();
         }
     }
 
     updateUI() {
+        this.rememberCurrentStep();
         this.updateProgressBar();
-        this.updateStepIndicators();
+        this.renderStepIndicators();
         this.showCurrentStep();
         this.updateNavigationButtons();
+
+        const resetBtn = document.getElementById('resetProgressBtn');
+        if (resetBtn) {
+            resetBtn.classList.toggle('hidden', !this.userProgress.startedAt && !this.wizard.completed);
+        }
     }
 
     updateProgressBar() {
+        const total = this.wizard.totalSteps;
+        const position = this.wizard.completed ? total : this.wizard.currentIndex + 1;
+
         const progressBar = document.getElementById('progressBar');
         if (progressBar) {
-            const progress = (this.currentStep / this.totalSteps) * 100;
+            const progress = total > 0 ? (position / total) * 100 : 100;
             progressBar.style.width = `${progress}%`;
-            
+
             // Animación de progreso
-            anime({
+            window.motion.animate({
                 targets: progressBar,
                 width: `${progress}%`,
                 duration: 500,
@@ -158,70 +544,203 @@ class PasswordlessManager {
         }
 
         // Actualizar texto de progreso
+        const text = this.wizard.completed
+            ? window.i18n.t('wizard.progress.completed')
+            : window.i18n.t('wizard.progress.step', { position, total });
+
         const progressText = document.getElementById('progressText');
         if (progressText) {
-            progressText.textContent = `Paso ${this.currentStep} de ${this.totalSteps}`;
-        }
-    }
-
-    updateStepIndicators() {
-        for (let i = 1; i <= this.totalSteps; i++) {
-            const stepElement = document.getElementById(`step${i}Indicator`);
-            if (stepElement) {
-                stepElement.classList.remove('bg-blue-600', 'bg-green-600', 'bg-gray-300');
-                
-                if (i < this.currentStep) {
-                    stepElement.classList.add('bg-green-600');
-                } else if (i === this.currentStep) {
-                    stepElement.classList.add('bg-blue-600');
-                } else {
-                    stepElement.classList.add('bg-gray-300');
-                }
-            }
+            progressText.textContent = text;
+        }
+
+        const progressTrack = document.getElementById('progressTrack');
+        if (progressTrack) {
+            progressTrack.setAttribute('aria-valuemax', total);
+            progressTrack.setAttribute('aria-valuenow', position);
+            progressTrack.setAttribute('aria-valuetext', text);
         }
     }
 
+    renderStepIndicators() {
+        const container = document.getElementById('stepIndicators');
+        if (!container) return;
+
+        // Los indicadores siguen el flujo actual, que depende de los métodos del usuario.
+        // El estado de cada paso no depende solo del color: icono, aria-current y texto para lectores
+        const { html } = window.htmlRenderer;
+        window.htmlRenderer.render(container, html`${this.wizard.steps.map((step, index) => {
+            let status = 'pending';
+            if (this.wizard.completed || index < this.wizard.currentIndex) {
+                status = 'completed';
+            } else if (index === this.wizard.currentIndex) {
+                status = 'current';
+            }
+
+            const circleClasses = {
+                pending: 'bg-gray-300',
+                completed: 'bg-green-600',
+                current: 'bg-blue-600 ring-4 ring-blue-200'
+            };
+
+            return html`
+                <li class="flex items-center ${index > 0 ? 'flex-1' : ''}" ${status === 'current' && html`aria-current="step"`}>
+                    ${index > 0 && html`<div class="flex-1 h-1 ${status === 'pending' ? 'bg-gray-300' : 'bg-green-600'} mx-4" aria-hidden="true"></div>`}
+                    <div class="flex flex-col items-center">
+                        <div class="w-12 h-12 ${circleClasses[status]} rounded-full flex items-center justify-center text-white font-bold" aria-hidden="true">
+                            ${status === 'completed' ? html`<i class="fas fa-check"></i>` : index + 1}
+                        </div>
+                        <p class="text-sm font-medium mt-2 text-center">
+                            ${window.i18n.t(step.title)}
+                            <span class="sr-only">(${window.i18n.t(`wizard.stepper.status.${status}`)})</span>
+                        </p>
+                    </div>
+                </li>
+            `;
+        })}`);
+    }
+
     showCurrentStep() {
-        // Ocultar todos los pasos
-        for (let i = 1; i <= this.totalSteps; i++) {
-            const stepElement = document.getElementById(`step${i}Content`);
-            if (stepElement) {
-                stepElement.classList.add('hidden');
+        const step = this.wizard.currentStep;
+        const context = this.getWizardContext();
+
+        // Avisar al paso que deja de mostrarse
+        if (this.activeStepId && (!step || step.id !== this.activeStepId)) {
+            const previousStep = window.wizardSteps.get(this.activeStepId);
+            if (previousStep && previousStep.onLeave) {
+                previousStep.onLeave(context);
             }
         }
+        this.activeStepId = step ? step.id : null;
+
+        // El foco solo se mueve cuando cambia la vista, nunca en el primer pintado ni al re-renderizar
+        const view = step ? step.id : (this.wizard.completed ? 'completion' : null);
+        const viewChanged = this.visibleView !== null && view !== this.visibleView;
+        this.visibleView = view;
+
+        // Ocultar todos los pasos
+        document.querySelectorAll('[data-step-content]').forEach(element => {
+            element.classList.add('hidden');
+        });
 
         // Mostrar paso actual
-        const currentStepElement = document.getElementById(`step${this.currentStep}Content`);
-        if (currentStepElement) {
+        if (step) {
+            const currentStepElement = this.getStepElement(step);
             currentStepElement.classList.remove('hidden');
-            
+
             // Animación de entrada
-            anime({
+            window.motion.animate({
                 targets: currentStepElement,
                 opacity: [0, 1],
                 translateX: [50, 0],
                 duration: 400,
                 easing: 'easeOutQuad'
             });
+
+            this.renderStepContent(step);
+            if (step.onEnter) {
+                step.onEnter(context);
+            }
+
+            if (viewChanged) {
+                this.focusStepHeading(currentStepElement);
+            }
         }
 
         // Si está completado, mostrar pantalla de éxito
-        if (this.currentStep > this.totalSteps) {
+        if (this.wizard.completed) {
             this.showCompletionScreen();
+
+            if (viewChanged) {
+                this.focusStepHeading(document.getElementById('completionScreen'));
+            }
+        }
+    }
+
+    focusStepHeading(container) {
+        // Los lectores de pantalla anuncian el nuevo paso al recibir el foco su encabezado
+        const heading = container && container.querySelector('h3');
+        if (!heading) return;
+
+        heading.setAttribute('tabindex', '-1');
+        heading.classList.add('focus:outline-none');
+        heading.focus();
+    }
+
+    getStepElement(step) {
+        const element = document.querySelector(`[data-step-content="${step.id}"]`) || this.createStepElement(step);
+
+        const actionBtn = element.querySelector('[data-step-action]');
+        if (actionBtn && step.action && !actionBtn.dataset.actionBound) {
+            actionBtn.dataset.actionBound = 'true';
+            actionBtn.addEventListener('click', () => step.action.run(this.getWizardContext()));
+        }
+
+        return element;
+    }
+
+    createStepElement(step) {
+        // Pasos registrados por la organización sin contenido propio en la página
+        const element = document.createElement('div');
+        element.className = 'p-8 hidden';
+        element.dataset.stepContent = step.id;
+        window.htmlRenderer.render(element, window.htmlRenderer.html`
+            <div class="mb-6">
+                <h3 class="text-2xl font-bold text-gray-900" data-step-heading></h3>
+                <p class="text-gray-600" data-step-description></p>
+            </div>
+            <div class="mb-6" data-step-body></div>
+            ${step.action && window.htmlRenderer.html`
+                <div class="text-center">
+                    <button data-step-action class="bg-blue-600 hover:bg-blue-700 text-white px-8 py-3 rounded-lg font-semibold transition-colors"></button>
+                </div>
+            `}
+        `);
+
+        this.labelStepElement(element, step);
+
+        const navigation = document.getElementById('wizardNavigation');
+        navigation.parentElement.insertBefore(element, navigation);
+        return element;
+    }
+
+    labelStepElement(element, step) {
+        // Solo los pasos generados: el contenido de index.html se traduce con data-i18n
+        const heading = element.querySelector('[data-step-heading]');
+        if (!heading) return;
+
+        heading.textContent = window.i18n.t(step.title);
+        element.querySelector('[data-step-description]').textContent = step.description ? window.i18n.t(step.description) : '';
+
+        const actionBtn = element.querySelector('[data-step-action]');
+        if (actionBtn && step.action) {
+            actionBtn.textContent = window.i18n.t(step.action.label);
         }
     }
 
+    renderStepContent(step) {
+        if (!step.render) return;
+
+        const element = this.getStepElement(step);
+        step.render(element.querySelector('[data-step-body]') || element, this.getWizardContext());
+    }
+
     updateNavigationButtons() {
+        const step = this.wizard.currentStep;
         const nextBtn = document.getElementById('nextStepBtn');
         const prevBtn = document.getElementById('prevStepBtn');
         const completeBtn = document.getElementById('completeSetupBtn');
+        const skipBtn = document.getElementById('skipStepBtn');
 
         if (prevBtn) {
-            prevBtn.style.display = this.currentStep > 1 ? 'inline-block' : 'none';
+            prevBtn.style.display = step && !this.wizard.isFirst() ? 'inline-block' : 'none';
+        }
+
+        if (skipBtn) {
+            skipBtn.style.display = step && step.skippable ? 'inline-block' : 'none';
         }
 
         if (nextBtn && completeBtn) {
-            if (this.currentStep === this.totalSteps) {
+            if (this.wizard.isLast()) {
                 nextBtn.style.display = 'none';
                 completeBtn.style.display = 'inline-block';
             } else {
@@ -232,36 +751,44 @@ class PasswordlessManager {
     }
 
     async nextStep() {
-        if (this.currentStep < this.totalSteps) {
-            // Validar paso actual antes de avanzar
-            const isValid = await this.validateCurrentStep();
-            if (!isValid) {
-                return;
-            }
-
-            this.currentStep++;
-            this.updateUI();
-            this.saveProgress();
+        const step = this.wizard.currentStep;
+        if (!step) return;
+
+        // Validar paso actual antes de avanzar
+        const isValid = await this.wizard.isStepDone(step, this.getWizardContext());
+        if (!isValid) {
+            this.showInfo(step.skippable
+                ? window.i18n.t('wizard.navigation.completeOrSkip')
+                : window.i18n.t('wizard.navigation.completeStep'));
+            return;
         }
+
+        await this.advanceWizard();
     }
 
-    prevStep() {
-        if (this.currentStep > 1) {
-            this.currentStep--;
-            this.updateUI();
+    async skipStep() {
+        const step = this.wizard.currentStep;
+        if (!step || !step.skippable) return;
+
+        this.userProgress.skippedSteps[step.id] = true;
+        await this.advanceWizard();
+    }
+
+    async advanceWizard() {
+        // El flujo se recalcula con los métodos actuales: un paso completado puede activar otros
+        await this.refreshMethods();
+        this.wizard.advance(this.getWizardContext());
+        if (this.wizard.completed && !this.userProgress.completedAt) {
+            this.userProgress.completedAt = new Date().toISOString();
         }
+        this.saveProgress();
+        this.updateUI();
     }
 
-    async validateCurrentStep() {
-        switch (this.currentStep) {
-            case 1:
-                return this.userProgress.step1;
-            case 2:
-                return this.userProgress.step2;
-            case 3:
-                return this.userProgress.step3;
-            default:
-                return true;
+    prevStep() {
+        if (!this.wizard.isFirst()) {
+            this.wizard.back();
+            this.updateUI();
         }
     }
 
@@ -274,30 +801,24 @@ class PasswordlessManager {
             verifyBtn.disabled = true;
             if (loadingSpinner) loadingSpinner.classList.remove('hidden');
 
-            // Simular verificación de requisitos
-            await new Promise(resolve => setTimeout(resolve, 2000));
-
-            // Verificar requisitos (mock)
-            const requirements = {
-                hasDevice: true,
-                hasAuthenticator: true,
-                hasPermissions: true,
-                hasSupportedBrowser: true
-            };
+            // Verificar requisitos reales del entorno y de la cuenta
+            const requirements = await this.detectRequirements();
 
             // Actualizar UI con resultados
-            this.displayVerificationResults(requirements);
+            const hardFailures = this.displayVerificationResults(requirements);
 
-            // Marcar paso como completado
-            this.userProgress.step1 = true;
-            this.saveProgress();
+            // Solo se puede avanzar si se cumplen todos los requisitos obligatorios
+            this.setStepComplete('verify', hardFailures.length === 0);
 
-            // Mostrar mensaje de éxito
-            this.showSuccess('Requisitos verificados correctamente');
+            if (hardFailures.length === 0) {
+                this.showSuccess(window.i18n.t('wizard.verify.success'));
+            } else {
+                this.showError(window.i18n.t('wizard.verify.failed'));
+            }
 
         } catch (error) {
             console.error('Error verificando requisitos:', error);
-            this.showError('Error al verificar requisitos');
+            this.showError(window.i18n.t('wizard.verify.error'));
         } finally {
             const verifyBtn = document.getElementById('verifyRequirementsBtn');
             const loadingSpinner = document.getElementById('verifyLoading');
@@ -306,123 +827,408 @@ class PasswordlessManager {
         }
     }
 
+    async detectRequirements() {
+        const hasWebAuthn = typeof window.PublicKeyCredential === 'function' &&
+            !!navigator.credentials &&
+            typeof navigator.credentials.create === 'function';
+
+        // Autenticador de plataforma (Windows Hello, Touch ID, Android)
+        let hasPlatformAuthenticator = false;
+        if (hasWebAuthn && typeof PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable === 'function') {
+            try {
+                hasPlatformAuthenticator = await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+            } catch (error) {
+                console.warn('No se pudo comprobar el autenticador de plataforma:', error);
+            }
+        }
+
+        // Mediación condicional (autocompletado de passkeys)
+        let hasConditionalMediation = false;
+        if (hasWebAuthn && typeof PublicKeyCredential.isConditionalMediationAvailable === 'function') {
+            try {
+                hasConditionalMediation = await PublicKeyCredential.isConditionalMediationAvailable();
+            } catch (error) {
+                console.warn('No se pudo comprobar la mediación condicional:', error);
+            }
+        }
+
+        // Microsoft Authenticator registrado en la cuenta
+        let hasAuthenticator = false;
+        if (window.authManager) {
+            const status = await window.authManager.checkPasswordlessStatus();
+            hasAuthenticator = status.allMethods.some(method =>
+                method['@odata.type'] === '#microsoft.graph.microsoftAuthenticatorAuthenticationMethod'
+            );
+        }
+
+        return {
+            isSecureContext: window.isSecureContext === true,
+            hasSupportedBrowser: this.isSupportedBrowser(this.detectBrowser()),
+            hasWebAuthn,
+            hasPlatformAuthenticator,
+            hasConditionalMediation,
+            hasAuthenticator
+        };
+    }
+
+    detectBrowser() {
+        // Preferir User-Agent Client Hints cuando estén disponibles
+        const brands = navigator.userAgentData && navigator.userAgentData.brands;
+        if (brands) {
+            const known = { 'Microsoft Edge': 'edge', 'Google Chrome': 'chrome', 'Chromium': 'chrome', 'Opera': 'opera' };
+            for (const brandName of Object.keys(known)) {
+                const brand = brands.find(item => item.brand === brandName);
+                if (brand) {
+                    return { name: known[brandName], version: parseInt(brand.version, 10) };
+                }
+            }
+        }
+
+        const ua = navigator.userAgent;
+        const patterns = [
+            ['ie', /(?:MSIE |Trident\/.*rv:)(\d+)/],
+            ['edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+            ['opera', /OPR\/(\d+)/],
+            ['firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+            ['chrome', /(?:Chrome|CriOS)\/(\d+)/],
+            ['safari', /Version\/(\d+).*Safari/]
+        ];
+
+        for (const [name, pattern] of patterns) {
+            const match = ua.match(pattern);
+            if (match) {
+                return { name, version: parseInt(match[1], 10) };
+            }
+        }
+
+        return { name: 'unknown', version: 0 };
+    }
+
+    isSupportedBrowser(browser) {
+        // Versiones mínimas con soporte WebAuthn completo
+        const minimumVersions = {
+            edge: 79,
+            chrome: 67,
+            opera: 54,
+            firefox: 60,
+            safari: 13
+        };
+
+        const minimum = minimumVersions[browser.name];
+        return minimum !== undefined && browser.version >= minimum;
+    }
+
     displayVerificationResults(requirements) {
+        const hardFailures = Object.keys(requirements).filter(key =>
+            !requirements[key] && REQUIREMENT_DEFINITIONS[key].required
+        );
+
         const resultsContainer = document.getElementById('verificationResults');
-        if (!resultsContainer) return;
+        if (!resultsContainer) return hardFailures;
+
+        // Se conservan para volver a pintarlos si cambia el idioma
+        this.lastRequirements = requirements;
 
+        const { html } = window.htmlRenderer;
         const resultsHTML = Object.entries(requirements).map(([key, value]) => {
-            const statusIcon = value ? 'fa-check text-green-600' : 'fa-times text-red-600';
-            const statusText = value ? 'Cumple' : 'No cumple';
-            const requirementNames = {
-                hasDevice: 'Dispositivo compatible',
-                hasAuthenticator: 'Aplicación Microsoft Authenticator',
-                hasPermissions: 'Permisos de administrador',
-                hasSupportedBrowser: 'Navegador compatible'
-            };
+            const definition = REQUIREMENT_DEFINITIONS[key];
+            let statusIcon = 'fa-check text-green-600';
+            let status = 'met';
+
+            if (!value && definition.required) {
+                statusIcon = 'fa-times text-red-600';
+                status = 'notMet';
+            } else if (!value) {
+                statusIcon = 'fa-exclamation-triangle text-yellow-600';
+                status = 'recommended';
+            }
 
-            return `
-                <div class="flex items-center justify-between py-2">
-                    <span>${requirementNames[key]}</span>
-                    <span class="flex items-center">
-                        <i class="fas ${statusIcon} mr-2"></i>
-                        ${statusText}
-                    </span>
+            return html`
+                <div class="py-2 border-b last:border-b-0">
+                    <div class="flex items-center justify-between">
+                        <span>
+                            ${window.i18n.t(`wizard.requirements.${key}.name`)}
+                            ${!definition.required && html`<span class="ml-2 text-xs text-gray-500">${window.i18n.t('wizard.verify.optional')}</span>`}
+                        </span>
+                        <span class="flex items-center">
+                            <i class="fas ${statusIcon} mr-2"></i>
+                            ${window.i18n.t(`wizard.verify.status.${status}`)}
+                        </span>
+                    </div>
+                    ${!value && html`<p class="text-sm text-gray-600 mt-1">${window.i18n.t(`wizard.requirements.${key}.remediation`)}</p>`}
                 </div>
             `;
-        }).join('');
+        });
 
-        resultsContainer.innerHTML = `
+        const summaryHTML = hardFailures.length === 0
+            ? html`<span class="text-green-600 font-semibold">
+                    <i class="fas fa-check-circle mr-2"></i>
+                    ${window.i18n.t('wizard.verify.allMet')}
+               </span>`
+            : html`<span class="text-red-600 font-semibold">
+                    <i class="fas fa-times-circle mr-2"></i>
+                    ${window.i18n.t('wizard.verify.fixRequired', { count: hardFailures.length })}
+               </span>`;
+
+        window.htmlRenderer.render(resultsContainer, html`
             <div class="bg-white rounded-lg border p-4 mt-4">
-                <h4 class="font-semibold mb-3">Resultados de Verificación:</h4>
+                <h4 class="font-semibold mb-3">${window.i18n.t('wizard.verify.resultsTitle')}</h4>
                 ${resultsHTML}
                 <div class="mt-4 text-center">
-                    <span class="text-green-600 font-semibold">
-                        <i class="fas fa-check-circle mr-2"></i>
-                        Todos los requisitos cumplidos
-                    </span>
+                    ${summaryHTML}
                 </div>
             </div>
-        `;
+        `);
 
         // Animar resultados
-        anime({
+        window.motion.animate({
             targets: resultsContainer,
             opacity: [0, 1],
             translateY: [20, 0],
             duration: 500,
             easing: 'easeOutQuad'
         });
+
+        return hardFailures;
+    }
+
+    selectEnrollmentPath(path) {
+        if (!ENROLLMENT_PATHS[path]) return;
+
+        this.userProgress.enrollmentPath = path;
+        this.saveProgress();
+        this.renderEnrollmentPath();
+    }
+
+    renderEnrollmentPath() {
+        const path = this.userProgress.enrollmentPath;
+
+        document.querySelectorAll('[data-path-option]').forEach(option => {
+            const selected = option.dataset.pathOption === path;
+            option.classList.toggle('border-blue-600', selected);
+            option.classList.toggle('bg-blue-50', selected);
+            const input = option.querySelector('input');
+            if (input) input.checked = selected;
+        });
+
+        document.querySelectorAll('[data-path-content]').forEach(content => {
+            content.classList.toggle('hidden', content.dataset.pathContent !== path);
+        });
+
+        // Windows Hello para empresas solo se configura desde un PC con Windows
+        const windowsHint = document.getElementById('windowsHelloDeviceHint');
+        if (windowsHint) {
+            windowsHint.classList.toggle('hidden', this.detectPlatform() === 'windows');
+        }
+
+        if (path && !this.userProgress.completedSteps.enroll) {
+            this.startEnrollmentPolling();
+        } else {
+            this.stopEnrollmentPolling();
+        }
+    }
+
+    detectPlatform() {
+        const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.userAgent;
+        return /windows/i.test(platform) ? 'windows' : 'other';
+    }
+
+    startEnrollmentPolling() {
+        this.stopEnrollmentPolling();
+        this.enrollmentPollStartedAt = Date.now();
+
+        const pollingElement = document.getElementById('enrollmentPolling');
+        const pollingText = document.getElementById('enrollmentPollingText');
+        if (pollingText) pollingText.textContent = window.i18n.t('wizard.enroll.waiting');
+        if (pollingElement) pollingElement.classList.remove('hidden');
+
+        this.enrollmentPollTimer = setInterval(() => this.checkEnrollment(), ENROLLMENT_POLL_INTERVAL_MS);
+    }
+
+    stopEnrollmentPolling() {
+        if (this.enrollmentPollTimer) {
+            clearInterval(this.enrollmentPollTimer);
+            this.enrollmentPollTimer = null;
+        }
+
+        const pollingElement = document.getElementById('enrollmentPolling');
+        if (pollingElement) pollingElement.classList.add('hidden');
     }
 
-    async setupAuthenticationMethods() {
+    async checkEnrollment() {
+        const pathId = this.userProgress.enrollmentPath;
+        const path = ENROLLMENT_PATHS[pathId];
+        if (!path || this.userProgress.completedSteps.enroll) return;
+
         try {
-            // Simular configuración de métodos de autenticación
-            this.showInfo('Configurando métodos de autenticación...');
+            const methods = await window.authManager.graph.getAll('me/authentication/methods', {
+                scopes: 'readOwnMethods',
+                interactive: false
+            });
 
-            // Mock de configuración exitosa
-            await new Promise(resolve => setTimeout(resolve, 3000));
+            const baseline = this.userProgress.baselineMethodIds || [];
+            const newMethod = methods.value.find(method =>
+                method['@odata.type'] === path.methodType && !baseline.includes(method.id)
+            );
 
-            // Marcar paso como completado
-            this.userProgress.step2 = true;
-            this.saveProgress();
+            if (newMethod) {
+                this.stopEnrollmentPolling();
+                this.completeEnrollment(newMethod);
+                return;
+            }
+        } catch (error) {
+            console.error('Error comprobando el registro del método:', error);
+            if (error.name === 'SessionExpiredError') {
+                this.stopEnrollmentPolling();
+                return;
+            }
+        }
 
-            this.showSuccess('Métodos de autenticación configurados correctamente');
-            
-            // Actualizar UI
-            const setupContainer = document.getElementById('setupMethodsContainer');
-            if (setupContainer) {
-                setupContainer.innerHTML = `
-                    <div class="bg-green-50 border border-green-200 rounded-lg p-4">
-                        <div class="flex items-center">
-                            <i class="fas fa-check-circle text-green-600 text-xl mr-3"></i>
-                            <div>
-                                <h4 class="font-semibold text-green-800">Configuración Completada</h4>
-                                <p class="text-green-700 text-sm">Los métodos de autenticación han sido configurados exitosamente.</p>
-                            </div>
-                        </div>
-                    </div>
-                `;
+        // Sin resultado tras el tiempo máximo se deja de consultar; el usuario puede comprobarlo a mano
+        if (this.enrollmentPollTimer && Date.now() - this.enrollmentPollStartedAt >= ENROLLMENT_POLL_TIMEOUT_MS) {
+            clearInterval(this.enrollmentPollTimer);
+            this.enrollmentPollTimer = null;
+
+            const pollingText = document.getElementById('enrollmentPollingText');
+            if (pollingText) {
+                pollingText.textContent = window.i18n.t('wizard.enroll.notDetected', { method: window.i18n.t(`wizard.enrollment.paths.${pathId}`) });
             }
+        }
+    }
 
-        } catch (error) {
-            console.error('Error configurando métodos:', error);
-            this.showError('Error al configurar métodos de autenticación');
+    completeEnrollment(method) {
+        const pathId = ENROLLMENT_PATHS[this.userProgress.enrollmentPath] ? this.userProgress.enrollmentPath : 'passkey';
+
+        // Marcar paso como completado
+        this.userProgress.registeredMethodId = method.id;
+        this.setStepComplete('enroll');
+
+        this.enrolledMethod = { pathId, displayName: method.displayName };
+        this.showSuccess(window.i18n.t('wizard.enroll.success', { method: window.i18n.t(`wizard.enrollment.paths.${pathId}`) }));
+        this.renderEnrollmentStatus();
+    }
+
+    renderEnrollmentStatus() {
+        const { pathId, displayName } = this.enrolledMethod;
+        const methodName = window.i18n.t(`wizard.enrollment.paths.${pathId}`);
+        const detail = displayName
+            ? window.i18n.t('wizard.enroll.registeredNamed', { method: methodName, name: displayName })
+            : window.i18n.t('wizard.enroll.registered', { method: methodName });
+
+        // Actualizar UI
+        const statusContainer = document.getElementById('enrollmentStatus');
+        if (statusContainer) {
+            window.htmlRenderer.render(statusContainer, window.htmlRenderer.html`
+                <div class="bg-green-50 border border-green-200 rounded-lg p-4">
+                    <div class="flex items-center">
+                        <i class="fas fa-check-circle text-green-600 text-xl mr-3"></i>
+                        <div>
+                            <h4 class="font-semibold text-green-800">${window.i18n.t('wizard.enroll.completedTitle')}</h4>
+                            <p class="text-green-700 text-sm">${detail}</p>
+                        </div>
+                    </div>
+                </div>
+            `);
         }
     }
 
     async validateSetup() {
+        const validateBtn = document.getElementById('validateSetupBtn');
+
         try {
-            this.showInfo('Validando configuración...');
+            if (validateBtn) validateBtn.disabled = true;
+            this.showInfo(window.i18n.t('wizard.validate.inProgress'));
+
+            // Consultar de nuevo los métodos registrados en el servidor
+            const passwordlessStatus = await window.authManager.checkPasswordlessStatus();
+            if (passwordlessStatus.error) {
+                throw new Error(passwordlessStatus.error);
+            }
+
+            const baseline = this.userProgress.baselineMethodIds || [];
+            const newMethods = passwordlessStatus.methods.filter(method => !baseline.includes(method.id));
 
-            // Simular validación
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            if (newMethods.length === 0) {
+                this.showError(window.i18n.t('wizard.validate.noNewMethod'));
+                return;
+            }
 
-            // Marcar paso como completado
-            this.userProgress.step3 = true;
-            this.userProgress.passwordlessEnabled = true;
+            this.userProgress.methods = passwordlessStatus.methods;
+            this.userProgress.newMethodIds = newMethods.map(method => method.id);
             this.saveProgress();
 
-            this.showSuccess('Configuración validada correctamente');
-            
-            // Avanzar a pantalla de completación
-            setTimeout(() => {
-                this.currentStep = this.totalSteps + 1;
-                this.updateUI();
-            }, 1500);
+            // El paso se completa tras un inicio de sesión de prueba en Entra que demuestre que el método funciona
+            this.showTestSignIn(newMethods);
+            this.showInfo(window.i18n.t('wizard.validate.testSignInRequired'));
 
         } catch (error) {
             console.error('Error validando configuración:', error);
-            this.showError('Error al validar la configuración');
+            this.showError(window.i18n.t('wizard.validate.error'));
+        } finally {
+            if (validateBtn) validateBtn.disabled = false;
+        }
+    }
+
+    showTestSignIn(newMethods) {
+        const testContainer = document.getElementById('testSignInContainer');
+        const methodList = document.getElementById('newMethodsList');
+
+        if (methodList) {
+            const { html } = window.htmlRenderer;
+            window.htmlRenderer.render(methodList, html`${newMethods.map(method => html`
+                <li class="flex items-center">
+                    <i class="fas fa-key text-blue-600 mr-3"></i>
+                    ${method.displayName || window.i18n.t('wizard.validate.defaultMethodName')}
+                </li>
+            `)}`);
+        }
+
+        if (testContainer) {
+            testContainer.classList.remove('hidden');
         }
     }
 
+    async runTestSignIn() {
+        const testSignInBtn = document.getElementById('testSignInBtn');
+
+        try {
+            if (testSignInBtn) testSignInBtn.disabled = true;
+
+            const result = await window.authManager.verifySignIn();
+            this.completeValidation(window.i18n.t(result.methodEnforced
+                ? 'wizard.validate.testPassedEnforced'
+                : 'wizard.validate.testPassed'));
+        } catch (error) {
+            if (window.authManager.isUserCancelled(error)) {
+                return;
+            }
+            console.error('Error en inicio de sesión de prueba:', error);
+            this.showError(window.authManager.isPopupBlocked(error)
+                ? window.i18n.t('wizard.validate.testPopupBlocked')
+                : window.i18n.t('wizard.validate.testFailed'));
+        } finally {
+            if (testSignInBtn) testSignInBtn.disabled = false;
+        }
+    }
+
+    completeValidation(message) {
+        // Marcar paso como completado
+        this.userProgress.passwordlessEnabled = true;
+        this.setStepComplete('validate');
+
+        this.showSuccess(message);
+        
+        // Avanzar al siguiente paso del flujo o a la pantalla de completación
+        setTimeout(() => this.advanceWizard(), 1500);
+    }
+
     showCompletionScreen() {
         const completionContainer = document.getElementById('completionScreen');
         if (completionContainer) {
             completionContainer.classList.remove('hidden');
             
             // Animación de celebración
-            anime({
+            window.motion.animate({
                 targets: completionContainer,
                 opacity: [0, 1],
                 scale: [0.8, 1],
@@ -433,7 +1239,7 @@ class PasswordlessManager {
             // Animar icono de éxito
             const successIcon = document.getElementById('successIcon');
             if (successIcon) {
-                anime({
+                window.motion.animate({
                     targets: successIcon,
                     scale: [0, 1.2, 1],
                     duration: 800,
@@ -448,6 +1254,23 @@ class PasswordlessManager {
         if (wizardContainer) {
             wizardContainer.classList.add('hidden');
         }
+
+        this.showReadiness();
+    }
+
+    async showReadiness() {
+        const readinessPanel = document.getElementById('readinessPanel');
+        if (!readinessPanel || !window.readinessEvaluator) return;
+
+        try {
+            const result = await window.readinessEvaluator.assess();
+            window.readinessEvaluator.render(readinessPanel, result);
+            readinessPanel.classList.remove('hidden');
+        } catch (error) {
+            // La pantalla de finalización sigue siendo válida sin la evaluación
+            console.error('Error evaluando la preparación passwordless:', error);
+            readinessPanel.classList.add('hidden');
+        }
     }
 
     navigateToTAP() {
@@ -458,7 +1281,7 @@ class PasswordlessManager {
         // Animaciones iniciales
         const heroSection = document.getElementById('heroSection');
         if (heroSection) {
-            anime({
+            window.motion.animate({
                 targets: heroSection,
                 opacity: [0, 1],
                 translateY: [-30, 0],
@@ -470,7 +1293,7 @@ class PasswordlessManager {
         // Animar tarjetas de pasos
         const stepCards = document.querySelectorAll('.step-card');
         if (stepCards.length > 0) {
-            anime({
+            window.motion.animate({
                 targets: stepCards,
                 opacity: [0, 1],
                 translateY: [20, 0],
@@ -481,68 +1304,17 @@ class PasswordlessManager {
         }
     }
 
-    showAuthenticationRequired() {
-        const authModal = document.getElementById('authRequiredModal');
-        if (authModal) {
-            authModal.classList.remove('hidden');
-        }
-    }
-
     // Utilidades para mensajes
-    showSuccess(message) {
-        this.showMessage(message, 'success');
+    showSuccess(message, options = {}) {
+        window.notifications.success(message, options);
     }
 
-    showError(message) {
-        this.showMessage(message, 'error');
+    showError(message, options = {}) {
+        window.notifications.error(message, options);
     }
 
-    showInfo(message) {
-        this.showMessage(message, 'info');
-    }
-
-    showMessage(message, type = 'info') {
-        const messageContainer = document.getElementById('messageContainer');
-        if (!messageContainer) return;
-
-        const colors = {
-            success: 'bg-green-100 border-green-400 text-green-700',
-            error: 'bg-red-100 border-red-400 text-red-700',
-            info: 'bg-blue-100 border-blue-400 text-blue-700'
-        };
-
-        const icons = {
-            success: 'fa-check-circle',
-            error: 'fa-exclamation-circle',
-            info: 'fa-info-circle'
-        };
-
-        const messageHTML = `
-            <div class="${colors[type]} border px-4 py-3 rounded mb-4 flex items-center">
-                <i class="fas ${icons[type]} mr-3"></i>
-                <span>${message}</span>
-                <button onclick="this.parentElement.remove()" class="ml-auto text-lg">&times;</button>
-            </div>
-        `;
-
-        messageContainer.innerHTML = messageHTML;
-
-        // Auto-remover después de 5 segundos
-        setTimeout(() => {
-            const messageElement = messageContainer.firstElementChild;
-            if (messageElement) {
-                messageElement.remove();
-            }
-        }, 5000);
-
-        // Animar entrada
-        anime({
-            targets: messageContainer.firstElementChild,
-            opacity: [0, 1],
-            translateY: [-20, 0],
-            duration: 300,
-            easing: 'easeOutQuad'
-        });
+    showInfo(message, options = {}) {
+        window.notifications.info(message, options);
     }
 }
 
@@ -0,0 +1,106 @@
+/**
+ * Catálogo de Métodos de Autenticación
+ * Nombre, icono y capacidades de cada tipo de método que devuelve Microsoft Graph
+ */
+
+// name: clave de catálogo con el nombre del tipo (methods.types.<collection>)
+// collection: segmento de /authentication/<collection>/{id} para editar o eliminar el método
+// passwordless: permite iniciar sesión sin contraseña (cuenta para la protección del último método sin contraseña)
+// strong: sirve como segundo factor de MFA (cuenta para la protección del último método seguro)
+// version: versión de Graph en la que existe la colección, si no es v1.0
+// editable: propiedad que Graph permite modificar; Graph no admite cambiar el nombre mostrado
+// de ningún tipo, así que renombrar una passkey o un dispositivo exige registrarlo de nuevo
+const AUTH_METHOD_TYPES = {
+    '#microsoft.graph.passwordAuthenticationMethod': {
+        name: 'methods.types.passwordMethods',
+        icon: 'fa-key',
+        collection: 'passwordMethods',
+        passwordless: false,
+        strong: false,
+        removable: false
+    },
+    '#microsoft.graph.fido2AuthenticationMethod': {
+        name: 'methods.types.fido2Methods',
+        icon: 'fa-fingerprint',
+        collection: 'fido2Methods',
+        passwordless: true,
+        strong: true,
+        removable: true
+    },
+    '#microsoft.graph.microsoftAuthenticatorAuthenticationMethod': {
+        name: 'methods.types.microsoftAuthenticatorMethods',
+        icon: 'fa-mobile-alt',
+        collection: 'microsoftAuthenticatorMethods',
+        passwordless: true,
+        strong: true,
+        removable: true
+    },
+    '#microsoft.graph.windowsHelloForBusinessAuthenticationMethod': {
+        name: 'methods.types.windowsHelloForBusinessMethods',
+        icon: 'fa-laptop',
+        collection: 'windowsHelloForBusinessMethods',
+        passwordless: true,
+        strong: true,
+        removable: true
+    },
+    '#microsoft.graph.platformCredentialAuthenticationMethod': {
+        name: 'methods.types.platformCredentialMethods',
+        icon: 'fa-laptop',
+        collection: 'platformCredentialMethods',
+        version: 'beta',
+        passwordless: true,
+        strong: true,
+        removable: true
+    },
+    '#microsoft.graph.phoneAuthenticationMethod': {
+        name: 'methods.types.phoneMethods',
+        icon: 'fa-phone',
+        collection: 'phoneMethods',
+        passwordless: false,
+        strong: true,
+        removable: true,
+        editable: 'phoneNumber'
+    },
+    '#microsoft.graph.emailAuthenticationMethod': {
+        name: 'methods.types.emailMethods',
+        icon: 'fa-envelope',
+        collection: 'emailMethods',
+        passwordless: false,
+        strong: false,
+        removable: true,
+        editable: 'emailAddress'
+    },
+    '#microsoft.graph.softwareOathAuthenticationMethod': {
+        name: 'methods.types.softwareOathMethods',
+        icon: 'fa-clock',
+        collection: 'softwareOathMethods',
+        passwordless: false,
+        strong: true,
+        removable: true
+    },
+    '#microsoft.graph.temporaryAccessPassAuthenticationMethod': {
+        name: 'methods.types.temporaryAccessPassMethods',
+        icon: 'fa-ticket-alt',
+        collection: 'temporaryAccessPassMethods',
+        passwordless: false,
+        strong: false,
+        removable: true
+    }
+};
+
+// Authenticator solo permite entrar sin contraseña si tiene activado el inicio de sesión con el teléfono.
+// phoneSignInDevices es null cuando no se pudo consultar; entonces decide el tipo de método
+function isPasswordlessMethod(method, phoneSignInDevices = null) {
+    if (method['@odata.type'] === '#microsoft.graph.microsoftAuthenticatorAuthenticationMethod' && phoneSignInDevices !== null) {
+        return phoneSignInDevices.length > 0;
+    }
+
+    const type = AUTH_METHOD_TYPES[method['@odata.type']];
+    return !!(type && type.passwordless);
+}
+
+// Cualquier tipo que valga como segundo factor, tenga o no inicio de sesión sin contraseña
+function isStrongMethod(method) {
+    const type = AUTH_METHOD_TYPES[method['@odata.type']];
+    return !!(type && type.strong);
+}
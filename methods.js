@@ -0,0 +1,451 @@
+/**
+ * Módulo "Mis métodos"
+ * Lista los métodos de autenticación del usuario con su detalle y permite editarlos o eliminarlos
+ */
+
+class MethodsManager {
+    constructor() {
+        this.methods = [];
+        this.phoneSignInDevices = null;
+        this.pendingAction = null;
+    }
+
+    async loadMethods() {
+        const listContainer = document.getElementById('methodsList');
+
+        try {
+            if (!window.authManager || !window.authManager.isAuthenticated) {
+                return;
+            }
+
+            if (listContainer) {
+                window.htmlRenderer.render(listContainer, window.htmlRenderer.html`<p class="text-gray-500 text-center py-8"><i class="fas fa-spinner fa-spin mr-2"></i>${window.i18n.t('methods.loading')}</p>`);
+            }
+
+            const result = await window.authManager.graph.getAll('me/authentication/methods', { scopes: 'readOwnMethods' });
+            this.methods = result.value;
+            // El inicio de sesión con el teléfono decide si Authenticator cuenta como método sin contraseña
+            this.phoneSignInDevices = window.readinessEvaluator
+                ? await window.readinessEvaluator.getPhoneSignInDevices()
+                : null;
+            this.renderMethods();
+            this.renderReadiness();
+        } catch (error) {
+            console.error('Error cargando métodos:', error);
+            window.htmlRenderer.clear(listContainer);
+            this.showError(window.i18n.t('methods.loadError', { message: GraphClient.describeError(error) }), {
+                actions: window.authManager.getErrorActions(error, () => this.loadMethods())
+            });
+        }
+    }
+
+    renderReadiness() {
+        const readinessPanel = document.getElementById('readinessPanel');
+        if (!readinessPanel || !window.readinessEvaluator) return;
+
+        const result = window.readinessEvaluator.evaluate(this.methods, this.phoneSignInDevices);
+        window.readinessEvaluator.render(readinessPanel, result);
+        readinessPanel.classList.remove('hidden');
+    }
+
+    getMethodType(method) {
+        return AUTH_METHOD_TYPES[method['@odata.type']] || {
+            name: method['@odata.type'],
+            icon: 'fa-shield-alt',
+            collection: null,
+            passwordless: false,
+            strong: false,
+            removable: false
+        };
+    }
+
+    getMethodDetails(method) {
+        // Pares [clave de la etiqueta, valor] según el tipo de método
+        switch (method['@odata.type']) {
+            case '#microsoft.graph.passwordAuthenticationMethod':
+                return [['methods.details.lastChanged', this.formatDate(method.createdDateTime)]];
+            case '#microsoft.graph.fido2AuthenticationMethod':
+                return [
+                    ['methods.details.name', method.displayName],
+                    ['methods.details.model', method.model],
+                    ['AAGUID', method.aaGuid]
+                ];
+            case '#microsoft.graph.microsoftAuthenticatorAuthenticationMethod':
+                return [
+                    ['methods.details.device', method.displayName],
+                    ['methods.details.appVersion', method.phoneAppVersion]
+                ];
+            case '#microsoft.graph.windowsHelloForBusinessAuthenticationMethod':
+            case '#microsoft.graph.platformCredentialAuthenticationMethod':
+                return [
+                    ['methods.details.device', method.displayName],
+                    ['methods.details.keyStrength', method.keyStrength]
+                ];
+            case '#microsoft.graph.phoneAuthenticationMethod':
+                return [
+                    ['methods.details.number', this.maskPhoneNumber(method.phoneNumber)],
+                    ['methods.details.type', this.formatPhoneType(method.phoneType)]
+                ];
+            case '#microsoft.graph.emailAuthenticationMethod':
+                return [['methods.details.address', method.emailAddress]];
+            case '#microsoft.graph.temporaryAccessPassAuthenticationMethod':
+                return [
+                    ['methods.details.lifetime', window.i18n.formatLifetime(method.lifetimeInMinutes)],
+                    ['methods.details.status', method.isUsable ? window.i18n.t('methods.usable') : (method.methodUsabilityReason || window.i18n.t('methods.notUsable'))]
+                ];
+            default:
+                return method.displayName ? [['methods.details.name', method.displayName]] : [];
+        }
+    }
+
+    maskPhoneNumber(phoneNumber) {
+        // Graph usa el formato "+<prefijo> <número>"; solo se muestran el prefijo y los tres últimos dígitos
+        if (!phoneNumber) return '';
+
+        const [prefix, number] = phoneNumber.includes(' ')
+            ? phoneNumber.split(/ (.+)/)
+            : ['', phoneNumber];
+        const digits = number.replace(/\D/g, '');
+        const masked = '•'.repeat(Math.max(digits.length - 3, 0)) + digits.slice(-3);
+
+        return prefix ? `${prefix} ${masked}` : masked;
+    }
+
+    formatPhoneType(phoneType) {
+        const types = ['mobile', 'alternateMobile', 'office'];
+        return types.includes(phoneType) ? window.i18n.t(`methods.phoneTypes.${phoneType}`) : phoneType;
+    }
+
+    formatDate(value) {
+        return value ? window.i18n.formatDateTime(value) : '';
+    }
+
+    isPasswordless(method) {
+        return isPasswordlessMethod(method, this.phoneSignInDevices);
+    }
+
+    isLastPasswordlessMethod(method) {
+        // Misma regla que la evaluación de preparación: Authenticator sin inicio de sesión con el teléfono no cuenta
+        if (!this.isPasswordless(method)) {
+            return false;
+        }
+        return this.methods.filter(item => this.isPasswordless(item)).length === 1;
+    }
+
+    isLastStrongMethod(method) {
+        // Sin ningún método seguro la cuenta se quedaría solo con la contraseña, sin MFA
+        if (!isStrongMethod(method)) {
+            return false;
+        }
+        return this.methods.filter(item => isStrongMethod(item)).length === 1;
+    }
+
+    renderMethods() {
+        const listContainer = document.getElementById('methodsList');
+        if (!listContainer) return;
+
+        if (this.methods.length === 0) {
+            window.htmlRenderer.render(listContainer, window.htmlRenderer.html`<p class="text-gray-500 text-center py-8">${window.i18n.t('methods.empty')}</p>`);
+            return;
+        }
+
+        const { html } = window.htmlRenderer;
+        const methodsHTML = this.methods.map(method => {
+            const type = this.getMethodType(method);
+            const passwordless = this.isPasswordless(method);
+            const details = this.getMethodDetails(method).filter(([, value]) => value);
+
+            return html`
+                <div class="border rounded-lg p-6 flex items-start justify-between">
+                    <div class="flex items-start">
+                        <i class="fas ${type.icon} text-2xl ${passwordless ? 'text-green-600' : 'text-blue-600'} mr-4 mt-1"></i>
+                        <div>
+                            <p class="font-semibold text-gray-900">
+                                ${window.i18n.t(type.name)}
+                                ${passwordless && html`<span class="ml-2 text-xs bg-green-100 text-green-800 px-2 py-1 rounded">${window.i18n.t('methods.passwordlessBadge')}</span>`}
+                            </p>
+                            <dl class="mt-2 text-sm text-gray-600 space-y-1">
+                                ${details.map(([label, value]) => html`
+                                    <div><dt class="inline font-medium">${window.i18n.t(label)}:</dt> <dd class="inline break-all">${value}</dd></div>
+                                `)}
+                                ${method.createdDateTime && method['@odata.type'] !== '#microsoft.graph.passwordAuthenticationMethod' && html`
+                                    <div><dt class="inline font-medium">${window.i18n.t('methods.details.registered')}:</dt> <dd class="inline">${this.formatDate(method.createdDateTime)}</dd></div>
+                                `}
+                            </dl>
+                        </div>
+                    </div>
+                    <div class="flex space-x-2 ml-4">
+                        ${type.editable && html`
+                            <button type="button" data-action="editMethod" data-method-id="${method.id}" class="text-blue-600 hover:text-blue-800 px-3 py-2 text-sm font-medium">
+                                <i class="fas fa-pen mr-1"></i>${window.i18n.t('methods.edit')}
+                            </button>
+                        `}
+                        ${type.removable && html`
+                            <button type="button" data-action="removeMethod" data-method-id="${method.id}" class="text-red-600 hover:text-red-800 px-3 py-2 text-sm font-medium">
+                                <i class="fas fa-trash mr-1"></i>${window.i18n.t('methods.remove')}
+                            </button>
+                        `}
+                    </div>
+                </div>
+            `;
+        });
+
+        window.htmlRenderer.render(listContainer, html`${methodsHTML}`);
+    }
+
+    findMethod(methodId) {
+        return this.methods.find(method => method.id === methodId) || null;
+    }
+
+    requestRemoval(methodId) {
+        const method = this.findMethod(methodId);
+        if (!method) return;
+
+        const typeName = window.i18n.t(this.getMethodType(method).name);
+
+        // Sin otro método sin contraseña el usuario volvería a depender de la contraseña
+        if (this.isLastPasswordlessMethod(method)) {
+            this.showError(window.i18n.t('methods.lastPasswordless', { method: typeName }));
+            return;
+        }
+        if (this.isLastStrongMethod(method)) {
+            this.showError(window.i18n.t('methods.lastStrong', { method: typeName }));
+            return;
+        }
+
+        this.pendingAction = { method };
+
+        const modal = document.getElementById('methodConfirmModal');
+        const textElement = document.getElementById('methodConfirmText');
+        if (textElement) {
+            const label = method.displayName ? `${typeName} (${method.displayName})` : typeName;
+            textElement.textContent = window.i18n.t('methods.confirmRemoval', { method: label });
+        }
+        if (modal) {
+            modal.classList.remove('hidden');
+        }
+    }
+
+    cancelConfirmation() {
+        this.pendingAction = null;
+
+        const modal = document.getElementById('methodConfirmModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    async confirmRemoval() {
+        const pending = this.pendingAction;
+        this.cancelConfirmation();
+
+        if (!pending) return;
+
+        const method = pending.method;
+        const type = this.getMethodType(method);
+
+        try {
+            await window.authManager.graph.delete(`me/authentication/${type.collection}/${encodeURIComponent(method.id)}`, {
+                scopes: 'manageOwnMethods',
+                version: type.version
+            });
+            this.showSuccess(window.i18n.t('methods.removed', { method: window.i18n.t(type.name) }));
+        } catch (error) {
+            console.error('Error eliminando método:', error);
+            this.showError(window.i18n.t('methods.removeError', { message: GraphClient.describeError(error) }), {
+                actions: window.authManager.getErrorActions(error)
+            });
+        }
+
+        await this.loadMethods();
+    }
+
+    openEditor(methodId) {
+        const method = this.findMethod(methodId);
+        if (!method) return;
+
+        const type = this.getMethodType(method);
+        const modal = document.getElementById('methodEditModal');
+        const labelElement = document.getElementById('methodEditLabel');
+        const input = document.getElementById('methodEditValue');
+        const hint = document.getElementById('methodEditHint');
+
+        this.pendingAction = { method, edit: true };
+
+        if (type.editable === 'phoneNumber') {
+            if (labelElement) labelElement.textContent = window.i18n.t('methods.editor.phoneLabel');
+            if (input) {
+                input.type = 'tel';
+                input.placeholder = '+34 612345678';
+            }
+            if (hint) hint.textContent = window.i18n.t('methods.editor.phoneHint');
+        } else {
+            if (labelElement) labelElement.textContent = window.i18n.t('methods.editor.emailLabel');
+            if (input) {
+                input.type = 'email';
+                input.placeholder = window.i18n.t('methods.editor.emailPlaceholder');
+            }
+            if (hint) hint.textContent = window.i18n.t('methods.editor.emailHint');
+        }
+
+        if (input) {
+            // El número actual no se rellena para no mostrarlo sin enmascarar
+            input.value = type.editable === 'emailAddress' ? method.emailAddress || '' : '';
+        }
+        if (modal) {
+            modal.classList.remove('hidden');
+        }
+        if (input) {
+            input.focus();
+        }
+    }
+
+    closeEditor() {
+        this.pendingAction = null;
+
+        const modal = document.getElementById('methodEditModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    async saveEdit(value) {
+        const pending = this.pendingAction;
+        if (!pending || !pending.edit) return;
+
+        const method = pending.method;
+        const type = this.getMethodType(method);
+        const newValue = (value || '').trim();
+
+        let body;
+        if (type.editable === 'phoneNumber') {
+            if (!/^\+\d{1,3} \d{4,14}(x\d+)?$/.test(newValue)) {
+                this.showError(window.i18n.t('methods.editor.invalidPhone'));
+                return;
+            }
+            // Graph exige el tipo de teléfono junto con el número
+            body = { phoneNumber: newValue, phoneType: method.phoneType };
+        } else {
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newValue)) {
+                this.showError(window.i18n.t('methods.editor.invalidEmail'));
+                return;
+            }
+            body = { emailAddress: newValue };
+        }
+
+        this.closeEditor();
+
+        try {
+            await window.authManager.graph.patch(`me/authentication/${type.collection}/${encodeURIComponent(method.id)}`, body, {
+                scopes: 'manageOwnMethods'
+            });
+            this.showSuccess(window.i18n.t('methods.updated', { method: window.i18n.t(type.name) }));
+        } catch (error) {
+            console.error('Error actualizando método:', error);
+            this.showError(window.i18n.t('methods.updateError', { message: GraphClient.describeError(error) }), {
+                actions: window.authManager.getErrorActions(error)
+            });
+        }
+
+        await this.loadMethods();
+    }
+
+    handleAccountChanged() {
+        this.cancelConfirmation();
+        this.closeEditor();
+        this.methods = [];
+        this.loadMethods();
+    }
+
+    handleSessionLost() {
+        // Sin sesión no puede completarse ninguna edición ni eliminación pendiente
+        this.cancelConfirmation();
+        this.closeEditor();
+    }
+
+    handleLocaleChanged() {
+        // La lista se vuelve a pintar con los métodos ya cargados
+        if (this.methods.length > 0) {
+            this.renderMethods();
+        }
+    }
+
+    handleSignedIn() {
+        this.loadMethods();
+    }
+
+    showError(message, options = {}) {
+        window.notifications.error(message, options);
+    }
+
+    showSuccess(message, options = {}) {
+        window.notifications.success(message, options);
+    }
+}
+
+// Instancia global del administrador de métodos
+window.methodsManager = new MethodsManager();
+
+// Manejadores de eventos para la página de métodos
+document.addEventListener('DOMContentLoaded', function() {
+    const refreshBtn = document.getElementById('refreshMethodsBtn');
+    const confirmBtn = document.getElementById('methodConfirmBtn');
+    const cancelBtn = document.getElementById('methodCancelBtn');
+    const editForm = document.getElementById('methodEditForm');
+    const editCancelBtn = document.getElementById('methodEditCancelBtn');
+
+    window.htmlRenderer.registerActions({
+        editMethod: element => methodsManager.openEditor(element.dataset.methodId),
+        removeMethod: element => methodsManager.requestRemoval(element.dataset.methodId)
+    });
+
+    if (refreshBtn) {
+        refreshBtn.addEventListener('click', () => methodsManager.loadMethods());
+    }
+
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', () => methodsManager.confirmRemoval());
+    }
+
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => methodsManager.cancelConfirmation());
+    }
+
+    if (editForm) {
+        editForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            methodsManager.saveEdit(new FormData(editForm).get('methodEditValue'));
+        });
+    }
+
+    if (editCancelBtn) {
+        editCancelBtn.addEventListener('click', () => methodsManager.closeEditor());
+    }
+
+    if (window.authManager) {
+        window.authManager.ready.then(() => {
+            // Sin sesión se vuelve al inicio (sin MSAL se muestra la página de error de configuración)
+            if (window.authManager.msalInstance && !window.authManager.isAuthenticated) {
+                window.location.href = 'index.html';
+                return;
+            }
+            methodsManager.loadMethods();
+        });
+    }
+
+    window.addEventListener('auth:accountchanged', () => {
+        methodsManager.handleAccountChanged();
+    });
+
+    window.addEventListener('auth:sessionlost', () => {
+        methodsManager.handleSessionLost();
+    });
+
+    window.addEventListener('auth:signedin', () => {
+        methodsManager.handleSignedIn();
+    });
+
+    window.addEventListener('i18n:localechanged', () => {
+        methodsManager.handleLocaleChanged();
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * Preferencias de Movimiento
+ * Todas las animaciones pasan por aquí para respetar prefers-reduced-motion
+ */
+
+class MotionPreferences {
+    constructor() {
+        this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+    }
+
+    get reduced() {
+        return this.query.matches;
+    }
+
+    animate(params) {
+        if (!params.targets) return null;
+
+        // Con movimiento reducido se aplica directamente el estado final de la animación
+        if (this.reduced) {
+            return anime({ ...params, duration: 0, delay: 0, loop: false });
+        }
+        return anime(params);
+    }
+}
+
+// Instancia global de preferencias de movimiento: sustituye a las llamadas directas a anime()
+window.motion = new MotionPreferences();
@@ -0,0 +1,416 @@
+/**
+ * Centro de Notificaciones
+ * Cola única de avisos con niveles de gravedad, acciones, anuncios accesibles e historial
+ */
+
+// Presentación y duración por defecto de cada nivel de gravedad
+const NOTIFICATION_SEVERITIES = {
+    success: { icon: 'fa-check-circle', classes: 'bg-green-100 border-green-400 text-green-700', duration: 5000 },
+    info: { icon: 'fa-info-circle', classes: 'bg-blue-100 border-blue-400 text-blue-700', duration: 5000 },
+    warning: { icon: 'fa-exclamation-triangle', classes: 'bg-yellow-100 border-yellow-400 text-yellow-800', duration: 8000 },
+    error: { icon: 'fa-exclamation-circle', classes: 'bg-red-100 border-red-400 text-red-700', duration: 8000 }
+};
+
+// Avisos visibles a la vez; el resto espera en cola
+const NOTIFICATION_MAX_VISIBLE = 3;
+
+// El historial se conserva durante la sesión del navegador, también al cambiar de página
+const NOTIFICATION_HISTORY_KEY = 'notificationHistory';
+const NOTIFICATION_HISTORY_LIMIT = 50;
+
+class NotificationCenter {
+    constructor() {
+        this.visible = [];
+        this.queue = [];
+        this.history = this.loadHistory();
+        this.nextId = 1;
+        this.ready = false;
+        this.historyTrigger = null;
+        this.init();
+    }
+
+    init() {
+        // Los avisos emitidos antes de cargar la página esperan en la cola
+        document.addEventListener('DOMContentLoaded', () => {
+            this.createRegions();
+            this.ready = true;
+            this.updateBadge();
+            this.flush();
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (!this.isHistoryOpen()) return;
+
+            if (event.key === 'Escape') {
+                this.closeHistory();
+            } else if (event.key === 'Tab') {
+                this.trapHistoryFocus(event);
+            }
+        });
+
+        window.addEventListener('i18n:localechanged', () => this.handleLocaleChanged());
+
+        window.htmlRenderer.registerActions({
+            dismissNotification: element => this.dismiss(Number(element.dataset.notificationId)),
+            runNotificationAction: element => this.runAction(Number(element.dataset.notificationId), Number(element.dataset.actionIndex)),
+            toggleNotificationHistory: element => {
+                if (this.isHistoryOpen()) {
+                    this.closeHistory();
+                } else {
+                    this.openHistory(element);
+                }
+            },
+            closeNotificationHistory: () => this.closeHistory(),
+            clearNotificationHistory: () => this.clearHistory()
+        });
+    }
+
+    success(message, options = {}) {
+        return this.notify(message, { ...options, severity: 'success' });
+    }
+
+    info(message, options = {}) {
+        return this.notify(message, { ...options, severity: 'info' });
+    }
+
+    warning(message, options = {}) {
+        return this.notify(message, { ...options, severity: 'warning' });
+    }
+
+    error(message, options = {}) {
+        return this.notify(message, { ...options, severity: 'error' });
+    }
+
+    // options:
+    //   severity    success | info | warning | error
+    //   persistent  no se oculta solo; el usuario lo cierra o se retira con dismiss().
+    //               Por defecto, solo los avisos con acciones, para que dé tiempo a usarlas
+    //   duration    milisegundos en pantalla (por defecto según la gravedad)
+    //   actions     [{ label, run }]: botones del aviso; pulsar uno lo cierra
+    //   key         identificador estable: un aviso nuevo con la misma clave sustituye al anterior
+    notify(message, options = {}) {
+        const severity = NOTIFICATION_SEVERITIES[options.severity] ? options.severity : 'info';
+        const existing = options.key ? this.find(options.key) : null;
+        const actions = options.actions || [];
+
+        const notification = {
+            id: existing ? existing.id : this.nextId++,
+            key: options.key || null,
+            message: String(message),
+            severity,
+            persistent: options.persistent !== undefined ? !!options.persistent : actions.length > 0,
+            duration: options.duration || NOTIFICATION_SEVERITIES[severity].duration,
+            actions
+        };
+
+        if (existing) {
+            // Actualización de un aviso ya emitido (por ejemplo, otra hora de caducidad): no se duplica en el historial
+            this.replace(existing, notification);
+            return notification.id;
+        }
+
+        this.addToHistory(notification);
+        this.queue.push(notification);
+        this.flush();
+        return notification.id;
+    }
+
+    find(idOrKey) {
+        return [...this.visible, ...this.queue].find(notification =>
+            notification.id === idOrKey || (notification.key && notification.key === idOrKey)) || null;
+    }
+
+    has(idOrKey) {
+        return !!this.find(idOrKey);
+    }
+
+    replace(existing, notification) {
+        const queueIndex = this.queue.indexOf(existing);
+        if (queueIndex >= 0) {
+            this.queue[queueIndex] = notification;
+            return;
+        }
+
+        clearTimeout(existing.timer);
+        this.visible[this.visible.indexOf(existing)] = notification;
+        this.renderStack();
+        this.announceNotification(notification);
+        this.scheduleDismiss(notification);
+    }
+
+    flush() {
+        if (!this.ready) return;
+
+        while (this.visible.length < NOTIFICATION_MAX_VISIBLE && this.queue.length > 0) {
+            const notification = this.queue.shift();
+            this.visible.push(notification);
+            this.renderStack();
+            this.animateIn(notification);
+            this.announceNotification(notification);
+            this.scheduleDismiss(notification);
+        }
+    }
+
+    scheduleDismiss(notification) {
+        if (notification.persistent) return;
+        notification.timer = setTimeout(() => this.dismiss(notification.id), notification.duration);
+    }
+
+    dismiss(idOrKey) {
+        const notification = this.find(idOrKey);
+        if (!notification) return;
+
+        clearTimeout(notification.timer);
+        this.visible = this.visible.filter(item => item !== notification);
+        this.queue = this.queue.filter(item => item !== notification);
+
+        if (this.ready) {
+            this.renderStack();
+        }
+        this.flush();
+    }
+
+    runAction(id, index) {
+        const notification = this.find(id);
+        const action = notification && notification.actions[index];
+        if (!action) return;
+
+        this.dismiss(id);
+        action.run();
+    }
+
+    createRegions() {
+        const { html } = window.htmlRenderer;
+
+        this.stack = document.createElement('div');
+        this.stack.id = 'notificationStack';
+        this.stack.className = 'fixed top-24 right-4 z-50 w-full max-w-sm space-y-3';
+
+        // Regiones separadas: los errores interrumpen al lector de pantalla, el resto espera su turno
+        this.politeRegion = document.createElement('div');
+        this.politeRegion.className = 'sr-only';
+        this.politeRegion.setAttribute('role', 'status');
+        this.politeRegion.setAttribute('aria-live', 'polite');
+
+        this.assertiveRegion = document.createElement('div');
+        this.assertiveRegion.className = 'sr-only';
+        this.assertiveRegion.setAttribute('role', 'alert');
+        this.assertiveRegion.setAttribute('aria-live', 'assertive');
+
+        this.drawer = document.createElement('aside');
+        this.drawer.id = 'notificationHistory';
+        this.drawer.className = 'hidden fixed inset-y-0 right-0 z-50 w-full max-w-md bg-white shadow-2xl flex flex-col';
+        this.drawer.setAttribute('role', 'dialog');
+        this.drawer.setAttribute('aria-modal', 'true');
+        this.drawer.setAttribute('aria-labelledby', 'notificationHistoryTitle');
+        window.htmlRenderer.render(this.drawer, html`
+            <div class="flex items-center justify-between px-6 py-4 border-b">
+                <h2 id="notificationHistoryTitle" class="text-lg font-bold text-gray-900" data-i18n="notifications.history.title">${window.i18n.t('notifications.history.title')}</h2>
+                <button type="button" data-action="closeNotificationHistory" data-notification-history-close class="text-gray-500 hover:text-gray-800 text-xl" data-i18n-attr="aria-label:notifications.history.close" aria-label="${window.i18n.t('notifications.history.close')}">&times;</button>
+            </div>
+            <ul class="flex-1 overflow-y-auto px-6 py-4 space-y-3" data-notification-history-list></ul>
+            <div class="px-6 py-4 border-t text-right">
+                <button type="button" data-action="clearNotificationHistory" class="text-sm text-red-600 hover:text-red-800 font-medium" data-i18n="notifications.history.clear">${window.i18n.t('notifications.history.clear')}</button>
+            </div>
+        `);
+
+        document.body.append(this.stack, this.politeRegion, this.assertiveRegion, this.drawer);
+    }
+
+    renderStack() {
+        const { html } = window.htmlRenderer;
+
+        window.htmlRenderer.render(this.stack, html`${this.visible.map(notification => {
+            const severity = NOTIFICATION_SEVERITIES[notification.severity];
+            return html`
+                <div class="${severity.classes} border px-4 py-3 rounded-lg shadow-lg" data-notification-id="${notification.id}">
+                    <div class="flex items-start">
+                        <i class="fas ${severity.icon} mt-1 mr-3" aria-hidden="true"></i>
+                        <p class="flex-1 text-sm">
+                            <span class="sr-only">${window.i18n.t(`notifications.severity.${notification.severity}`)}:</span>
+                            ${notification.message}
+                        </p>
+                        <button type="button" data-action="dismissNotification" data-notification-id="${notification.id}" class="ml-3 text-lg leading-none" aria-label="${window.i18n.t('notifications.dismiss')}">&times;</button>
+                    </div>
+                    ${notification.actions.length > 0 && html`
+                        <div class="mt-3 flex justify-end space-x-2">
+                            ${notification.actions.map((action, index) => html`
+                                <button type="button" data-action="runNotificationAction" data-notification-id="${notification.id}" data-action-index="${index}" class="bg-white bg-opacity-70 hover:bg-opacity-100 border border-current px-3 py-1 rounded text-sm font-semibold">
+                                    ${action.label}
+                                </button>
+                            `)}
+                        </div>
+                    `}
+                </div>
+            `;
+        })}`);
+    }
+
+    animateIn(notification) {
+        window.motion.animate({
+            targets: this.stack.querySelector(`[data-notification-id="${notification.id}"]`),
+            opacity: [0, 1],
+            translateY: [-20, 0],
+            duration: 300,
+            easing: 'easeOutQuad'
+        });
+    }
+
+    announceNotification(notification) {
+        const text = `${window.i18n.t(`notifications.severity.${notification.severity}`)}: ${notification.message}`;
+        this.announce(text, { assertive: notification.severity === 'error' });
+    }
+
+    // Anuncio solo para lectores de pantalla, sin aviso visible ni entrada en el historial
+    announce(message, { assertive = false } = {}) {
+        if (!this.ready) return;
+        const region = assertive ? this.assertiveRegion : this.politeRegion;
+
+        // Vaciar antes de escribir para que un mensaje repetido se anuncie de nuevo
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
+    loadHistory() {
+        try {
+            return JSON.parse(sessionStorage.getItem(NOTIFICATION_HISTORY_KEY)) || [];
+        } catch (error) {
+            console.error('Historial de notificaciones no válido:', error);
+            return [];
+        }
+    }
+
+    saveHistory() {
+        sessionStorage.setItem(NOTIFICATION_HISTORY_KEY, JSON.stringify(this.history));
+    }
+
+    addToHistory(notification) {
+        this.history.unshift({
+            message: notification.message,
+            severity: notification.severity,
+            at: Date.now(),
+            read: this.isHistoryOpen()
+        });
+        this.history = this.history.slice(0, NOTIFICATION_HISTORY_LIMIT);
+        this.saveHistory();
+
+        if (this.isHistoryOpen()) {
+            this.renderHistory();
+        }
+        this.updateBadge();
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.saveHistory();
+        this.renderHistory();
+        this.updateBadge();
+    }
+
+    isHistoryOpen() {
+        return !!this.drawer && !this.drawer.classList.contains('hidden');
+    }
+
+    openHistory(trigger) {
+        // Al cerrar, el foco vuelve al botón que abrió el historial
+        this.historyTrigger = trigger || document.activeElement || null;
+        this.history.forEach(entry => {
+            entry.read = true;
+        });
+        this.saveHistory();
+
+        this.renderHistory();
+        this.updateBadge();
+        this.drawer.classList.remove('hidden');
+        this.setTriggersExpanded(true);
+        this.drawer.querySelector('[data-notification-history-close]').focus();
+    }
+
+    closeHistory() {
+        this.drawer.classList.add('hidden');
+        this.setTriggersExpanded(false);
+
+        if (this.historyTrigger) {
+            this.historyTrigger.focus();
+            this.historyTrigger = null;
+        }
+    }
+
+    trapHistoryFocus(event) {
+        // Diálogo modal: Tab y Mayús+Tab solo recorren los controles del historial
+        const focusable = Array.from(this.drawer.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'))
+            .filter(element => !element.disabled);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        const outside = !this.drawer.contains(active);
+
+        if (event.shiftKey && (active === first || outside)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (active === last || outside)) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    setTriggersExpanded(expanded) {
+        document.querySelectorAll('[data-action="toggleNotificationHistory"]').forEach(button => {
+            button.setAttribute('aria-expanded', String(expanded));
+        });
+    }
+
+    renderHistory() {
+        const list = this.drawer.querySelector('[data-notification-history-list]');
+        const { html } = window.htmlRenderer;
+
+        if (this.history.length === 0) {
+            window.htmlRenderer.render(list, html`<li class="text-gray-500 text-center py-8">${window.i18n.t('notifications.history.empty')}</li>`);
+            return;
+        }
+
+        window.htmlRenderer.render(list, html`${this.history.map(entry => {
+            const severity = NOTIFICATION_SEVERITIES[entry.severity] || NOTIFICATION_SEVERITIES.info;
+            return html`
+                <li class="${severity.classes} border rounded-lg px-4 py-3 text-sm">
+                    <div class="flex items-start">
+                        <i class="fas ${severity.icon} mt-1 mr-3" aria-hidden="true"></i>
+                        <div>
+                            <p><span class="sr-only">${window.i18n.t(`notifications.severity.${entry.severity}`)}:</span> ${entry.message}</p>
+                            <p class="text-xs opacity-75 mt-1">${window.i18n.formatDateTime(entry.at)}</p>
+                        </div>
+                    </div>
+                </li>
+            `;
+        })}`);
+    }
+
+    updateBadge() {
+        const unread = this.history.filter(entry => !entry.read).length;
+
+        document.querySelectorAll('[data-notification-badge]').forEach(badge => {
+            badge.textContent = unread > 9 ? '9+' : String(unread);
+            badge.classList.toggle('hidden', unread === 0);
+        });
+    }
+
+    handleLocaleChanged() {
+        if (!this.ready) return;
+
+        // Los mensajes ya emitidos se conservan en el idioma en que se mostraron
+        this.renderStack();
+        if (this.isHistoryOpen()) {
+            this.renderHistory();
+        }
+    }
+}
+
+// Instancia global de notificaciones: la usan todos los módulos para avisar al usuario
+window.notifications = new NotificationCenter();
@@ -0,0 +1,386 @@
+/**
+ * Generador de Códigos QR
+ * Codificador propio (modo byte, corrección M): el contenido se genera en el navegador y no sale de él
+ */
+
+// Bloques de corrección de errores nivel M para las versiones 1 a 10 (ISO/IEC 18004, tabla 9):
+// [codewords de corrección por bloque, bloques del grupo 1, datos por bloque del grupo 1,
+//  bloques del grupo 2, datos por bloque del grupo 2]
+const QR_EC_BLOCKS_M = [
+    [10, 1, 16, 0, 0],
+    [16, 1, 28, 0, 0],
+    [26, 1, 44, 0, 0],
+    [18, 2, 32, 0, 0],
+    [24, 2, 43, 0, 0],
+    [16, 4, 27, 0, 0],
+    [18, 4, 31, 0, 0],
+    [22, 2, 38, 2, 39],
+    [22, 3, 36, 2, 37],
+    [26, 4, 43, 1, 44]
+];
+
+// Centros de los patrones de alineación de cada versión
+const QR_ALIGNMENT_POSITIONS = [
+    [],
+    [6, 18],
+    [6, 22],
+    [6, 26],
+    [6, 30],
+    [6, 34],
+    [6, 22, 38],
+    [6, 24, 42],
+    [6, 26, 46],
+    [6, 28, 50]
+];
+
+// Indicador del nivel M en la información de formato
+const QR_FORMAT_BITS_M = 0;
+
+// Margen en blanco (en módulos) que los lectores necesitan alrededor del código
+const QR_QUIET_ZONE = 4;
+
+class QRCodeGenerator {
+    encode(text) {
+        const bytes = new TextEncoder().encode(text);
+        const version = this.chooseVersion(bytes.length);
+        const codewords = this.addErrorCorrection(this.encodeData(bytes, version), version);
+
+        const size = version * 4 + 17;
+        const matrix = {
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+
+        this.drawFunctionPatterns(matrix, version);
+        this.drawCodewords(matrix, codewords);
+
+        // Se aplica la máscara con menor penalización, como exige la norma
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(matrix, mask);
+            this.drawFormatBits(matrix, mask);
+            const penalty = this.getPenalty(matrix);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(matrix, mask);
+        }
+        this.applyMask(matrix, bestMask);
+        this.drawFormatBits(matrix, bestMask);
+
+        return matrix.modules;
+    }
+
+    // Código listo para insertar con htmlRenderer: un único path escala sin perder nitidez al imprimir
+    toSvg(text, label) {
+        const modules = this.encode(text);
+        const size = modules.length + QR_QUIET_ZONE * 2;
+        const path = modules.flatMap((row, y) => row
+            .map((dark, x) => dark ? `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z` : '')
+            .filter(Boolean)
+        ).join('');
+
+        return window.htmlRenderer.html`
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}" shape-rendering="crispEdges" class="w-full h-full">
+                <rect width="${size}" height="${size}" fill="#ffffff"></rect>
+                <path d="${path}" fill="#000000"></path>
+            </svg>
+        `;
+    }
+
+    getDataCapacity(version) {
+        const [, blocks1, data1, blocks2, data2] = QR_EC_BLOCKS_M[version - 1];
+        return blocks1 * data1 + blocks2 * data2;
+    }
+
+    getCountBits(version) {
+        return version < 10 ? 8 : 16;
+    }
+
+    chooseVersion(length) {
+        for (let version = 1; version <= QR_EC_BLOCKS_M.length; version++) {
+            if (4 + this.getCountBits(version) + length * 8 <= this.getDataCapacity(version) * 8) {
+                return version;
+            }
+        }
+        throw new Error(`Contenido demasiado largo para un código QR (${length} bytes)`);
+    }
+
+    encodeData(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        // Modo byte (0100), longitud y contenido
+        append(0b0100, 4);
+        append(bytes.length, this.getCountBits(version));
+        bytes.forEach(byte => append(byte, 8));
+
+        // Terminador, alineación a byte y relleno alterno hasta completar la capacidad
+        const capacityBits = this.getDataCapacity(version) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    addErrorCorrection(data, version) {
+        const [ecLength, blocks1, data1, blocks2, data2] = QR_EC_BLOCKS_M[version - 1];
+        const divisor = this.getReedSolomonDivisor(ecLength);
+
+        const blocks = [];
+        let offset = 0;
+        [[blocks1, data1], [blocks2, data2]].forEach(([count, length]) => {
+            for (let i = 0; i < count; i++) {
+                const blockData = data.slice(offset, offset + length);
+                offset += length;
+                blocks.push({ data: blockData, ec: this.getReedSolomonRemainder(blockData, divisor) });
+            }
+        });
+
+        // Intercalar: primero los datos de todos los bloques, después su corrección
+        const result = [];
+        const maxDataLength = Math.max(data1, data2);
+        for (let i = 0; i < maxDataLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    }
+
+    // Multiplicación en GF(2^8) con el polinomio de la norma (x^8 + x^4 + x^3 + x^2 + 1)
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    getReedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    getReedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    setFunctionModule(matrix, x, y, dark) {
+        matrix.modules[y][x] = dark;
+        matrix.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns(matrix, version) {
+        const { size } = matrix;
+
+        // Patrones de temporización
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(matrix, 6, i, i % 2 === 0);
+            this.setFunctionModule(matrix, i, 6, i % 2 === 0);
+        }
+
+        // Patrones de localización con su separador
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([centerX, centerY]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = centerX + dx;
+                    const y = centerY + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(matrix, x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Patrones de alineación, salvo donde coinciden con los de localización
+        const positions = QR_ALIGNMENT_POSITIONS[version - 1];
+        const last = positions.length - 1;
+        positions.forEach((centerX, i) => {
+            positions.forEach((centerY, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(matrix, centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reservar la información de formato; su valor depende de la máscara elegida
+        this.drawFormatBits(matrix, 0);
+
+        // Información de versión (versión 7 en adelante)
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (version << 12) | remainder;
+
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(matrix, a, b, dark);
+                this.setFunctionModule(matrix, b, a, dark);
+            }
+        }
+    }
+
+    drawFormatBits(matrix, mask) {
+        const { size } = matrix;
+        const data = (QR_FORMAT_BITS_M << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        // Primera copia, junto al patrón de localización superior izquierdo
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(matrix, 8, i, bit(i));
+        this.setFunctionModule(matrix, 8, 7, bit(6));
+        this.setFunctionModule(matrix, 8, 8, bit(7));
+        this.setFunctionModule(matrix, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(matrix, 14 - i, 8, bit(i));
+
+        // Segunda copia, repartida entre los otros dos patrones de localización
+        for (let i = 0; i < 8; i++) this.setFunctionModule(matrix, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(matrix, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(matrix, 8, size - 8, true);
+    }
+
+    drawCodewords(matrix, codewords) {
+        const { size } = matrix;
+        let index = 0;
+
+        // Columnas de dos en dos, de derecha a izquierda y en zigzag; la columna 6 es de temporización
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+
+                    if (!matrix.isFunction[y][x] && index < codewords.length * 8) {
+                        matrix.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(matrix, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+
+        for (let y = 0; y < matrix.size; y++) {
+            for (let x = 0; x < matrix.size; x++) {
+                if (!matrix.isFunction[y][x] && conditions[mask](x, y)) {
+                    matrix.modules[y][x] = !matrix.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenalty(matrix) {
+        const { size, modules } = matrix;
+        const columns = modules.map((row, x) => modules.map(line => line[x]));
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        let penalty = 0;
+
+        [...modules, ...columns].forEach(line => {
+            // Series de cinco o más módulos del mismo color
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Secuencias que imitan un patrón de localización
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                    penalty += 40;
+                }
+            }
+        });
+
+        // Bloques de 2x2 del mismo color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Desequilibrio entre módulos oscuros y claros
+        const darkCount = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+        penalty += Math.floor(Math.abs(darkCount * 100 / (size * size) - 50) / 5) * 10;
+
+        return penalty;
+    }
+}
+
+// Instancia global del generador de códigos QR
+window.qrCode = new QRCodeGenerator();
@@ -0,0 +1,194 @@
+/**
+ * Módulo de Preparación Passwordless
+ * Evalúa los métodos del usuario con un conjunto de reglas y propone los siguientes pasos
+ */
+
+const PHONE_METHOD_TYPE = '#microsoft.graph.phoneAuthenticationMethod';
+const AUTHENTICATOR_METHOD_TYPE = '#microsoft.graph.microsoftAuthenticatorAuthenticationMethod';
+const TAP_METHOD_TYPE = '#microsoft.graph.temporaryAccessPassAuthenticationMethod';
+
+// Métodos resistentes al phishing: credenciales FIDO2 ligadas al origen
+const PHISHING_RESISTANT_TYPES = [
+    '#microsoft.graph.fido2AuthenticationMethod',
+    '#microsoft.graph.windowsHelloForBusinessAuthenticationMethod',
+    '#microsoft.graph.platformCredentialAuthenticationMethod'
+];
+
+// Reglas de preparación. Cada regla recibe el contexto de evaluación:
+//   appliesTo(context) -> la regla cuenta para la puntuación (opcional, por defecto siempre)
+//   passes(context)    -> la cuenta ya cumple la regla
+// weight pondera la regla en la puntuación; recommendation (clave de catálogo) se muestra cuando no se cumple.
+const READINESS_RULES = [
+    {
+        id: 'hasPasswordless',
+        weight: 40,
+        severity: 'high',
+        passes: context => context.passwordlessMethods.length > 0,
+        recommendation: 'readiness.rules.hasPasswordless.recommendation',
+        action: { label: 'readiness.rules.hasPasswordless.action', href: 'index.html' }
+    },
+    {
+        id: 'hasPhishingResistant',
+        weight: 20,
+        severity: 'medium',
+        passes: context => context.methods.some(method => PHISHING_RESISTANT_TYPES.includes(method['@odata.type'])),
+        recommendation: 'readiness.rules.hasPhishingResistant.recommendation',
+        action: { label: 'readiness.rules.hasPhishingResistant.action', href: 'index.html' }
+    },
+    {
+        id: 'hasBackupPasswordless',
+        weight: 15,
+        severity: 'medium',
+        appliesTo: context => context.passwordlessMethods.length > 0,
+        passes: context => context.passwordlessMethods.length >= 2,
+        recommendation: 'readiness.rules.hasBackupPasswordless.recommendation',
+        action: { label: 'readiness.rules.hasBackupPasswordless.action', href: 'index.html' }
+    },
+    {
+        id: 'authenticatorPhoneSignIn',
+        weight: 10,
+        severity: 'medium',
+        // Solo evaluable cuando se pudo consultar el registro de inicio de sesión con el teléfono
+        appliesTo: context => context.phoneSignInDevices !== null &&
+            context.methods.some(method => method['@odata.type'] === AUTHENTICATOR_METHOD_TYPE),
+        passes: context => context.phoneSignInDevices.length > 0,
+        recommendation: 'readiness.rules.authenticatorPhoneSignIn.recommendation'
+    },
+    {
+        id: 'noPhoneMethods',
+        weight: 10,
+        severity: 'low',
+        appliesTo: context => context.passwordlessMethods.length > 0,
+        passes: context => !context.methods.some(method => method['@odata.type'] === PHONE_METHOD_TYPE),
+        recommendation: 'readiness.rules.noPhoneMethods.recommendation',
+        action: { label: 'readiness.rules.noPhoneMethods.action', href: 'methods.html' }
+    },
+    {
+        id: 'noLeftoverTAP',
+        weight: 5,
+        severity: 'low',
+        appliesTo: context => context.passwordlessMethods.length > 0,
+        passes: context => !context.methods.some(method => method['@odata.type'] === TAP_METHOD_TYPE && method.isUsable),
+        recommendation: 'readiness.rules.noLeftoverTAP.recommendation',
+        action: { label: 'readiness.rules.noLeftoverTAP.action', href: 'methods.html' }
+    }
+];
+
+// Niveles de preparación según la puntuación (de mayor a menor)
+const READINESS_LEVELS = [
+    { minScore: 80, label: 'readiness.levels.excellent', color: 'text-green-600', barColor: 'bg-green-500' },
+    { minScore: 50, label: 'readiness.levels.inProgress', color: 'text-yellow-600', barColor: 'bg-yellow-500' },
+    { minScore: 0, label: 'readiness.levels.initial', color: 'text-red-600', barColor: 'bg-red-500' }
+];
+
+class ReadinessEvaluator {
+    constructor(rules = READINESS_RULES) {
+        this.rules = rules;
+    }
+
+    async assess(methods = null) {
+        // Los métodos pueden venir ya cargados (página "Mis métodos")
+        const methodList = methods || (await window.authManager.graph.getAll('me/authentication/methods', {
+            scopes: 'readOwnMethods'
+        })).value;
+
+        return this.evaluate(methodList, await this.getPhoneSignInDevices());
+    }
+
+    async getPhoneSignInDevices() {
+        try {
+            // El modo de inicio de sesión con el teléfono solo se expone en beta
+            const result = await window.authManager.graph.getAll('me/authentication/passwordlessMicrosoftAuthenticatorMethods', {
+                version: 'beta',
+                scopes: 'readOwnMethods',
+                interactive: false
+            });
+            return result.value;
+        } catch (error) {
+            console.warn('No se pudo consultar el inicio de sesión con el teléfono:', error);
+            return null;
+        }
+    }
+
+    evaluate(methods, phoneSignInDevices = null) {
+        const context = {
+            methods,
+            phoneSignInDevices,
+            passwordlessMethods: methods.filter(method => isPasswordlessMethod(method, phoneSignInDevices))
+        };
+
+        const applicable = this.rules.filter(rule => !rule.appliesTo || rule.appliesTo(context));
+        const results = applicable.map(rule => ({ rule, passed: rule.passes(context) }));
+
+        const totalWeight = applicable.reduce((sum, rule) => sum + rule.weight, 0);
+        const earnedWeight = results.filter(result => result.passed).reduce((sum, result) => sum + result.rule.weight, 0);
+        const score = totalWeight > 0 ? Math.round((earnedWeight / totalWeight) * 100) : 0;
+
+        return {
+            score,
+            level: READINESS_LEVELS.find(level => score >= level.minScore),
+            passed: results.filter(result => result.passed).map(result => result.rule.id),
+            recommendations: results
+                .filter(result => !result.passed)
+                .map(result => result.rule)
+                .sort((a, b) => b.weight - a.weight)
+                .map(rule => ({
+                    id: rule.id,
+                    severity: rule.severity,
+                    message: rule.recommendation,
+                    action: rule.action || null
+                }))
+        };
+    }
+
+    render(container, result) {
+        if (!container) return;
+
+        // Se conserva para volver a pintarlo si cambia el idioma
+        this.lastRender = { container, result };
+
+        const severityIcons = {
+            high: 'fa-exclamation-circle text-red-600',
+            medium: 'fa-exclamation-triangle text-yellow-600',
+            low: 'fa-info-circle text-blue-600'
+        };
+
+        const { html } = window.htmlRenderer;
+        window.htmlRenderer.render(container, html`
+            <div class="flex items-center justify-between mb-3">
+                <h4 class="font-semibold text-gray-900">${window.i18n.t('readiness.title')}</h4>
+                <span class="text-2xl font-bold ${result.level.color}">${result.score}/100</span>
+            </div>
+            <div class="w-full bg-gray-200 rounded-full h-2 mb-2">
+                <div class="${result.level.barColor} h-2 rounded-full" style="width: ${result.score}%"></div>
+            </div>
+            <p class="text-sm ${result.level.color} font-medium mb-4">${window.i18n.t(result.level.label)}</p>
+            ${result.recommendations.length === 0
+                ? html`<p class="text-sm text-gray-600"><i class="fas fa-check-circle text-green-600 mr-2"></i>${window.i18n.t('readiness.allPassed')}</p>`
+                : html`<ul class="space-y-3 text-left">
+                    ${result.recommendations.map(item => html`
+                        <li class="flex items-start text-sm text-gray-700">
+                            <i class="fas ${severityIcons[item.severity]} mr-3 mt-1"></i>
+                            <span>
+                                ${window.i18n.t(item.message)}
+                                ${item.action && html`<a href="${item.action.href}" class="block text-blue-600 hover:text-blue-800 font-medium mt-1">${window.i18n.t(item.action.label)}</a>`}
+                            </span>
+                        </li>
+                    `)}
+                </ul>`}
+        `);
+    }
+
+    handleLocaleChanged() {
+        if (this.lastRender) {
+            this.render(this.lastRender.container, this.lastRender.result);
+        }
+    }
+}
+
+// Instancia global del evaluador de preparación
+window.readinessEvaluator = new ReadinessEvaluator();
+
+window.addEventListener('i18n:localechanged', () => {
+    window.readinessEvaluator.handleLocaleChanged();
+});
@@ -0,0 +1,93 @@
+/**
+ * Módulo de Renderizado Seguro
+ * Plantillas HTML que escapan por defecto y acciones delegadas en lugar de manejadores inline
+ */
+
+// Marcado ya escapado por html``: se inserta tal cual al anidarlo en otra plantilla
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+class HtmlRenderer {
+    constructor() {
+        this.actions = new Map();
+        this.html = this.html.bind(this);
+
+        // Un único listener atiende todos los [data-action], también los generados después
+        document.addEventListener('click', event => this.handleAction(event));
+    }
+
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // html`<p class="${clase}">${texto}</p>`: cada valor se escapa salvo que ya sea SafeHtml.
+    // Los valores solo son seguros como texto o dentro de atributos entre comillas.
+    html(strings, ...values) {
+        return new SafeHtml(strings.reduce((markup, part, index) =>
+            markup + part + (index < values.length ? this.toMarkup(values[index]) : ''), ''));
+    }
+
+    toMarkup(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => this.toMarkup(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return this.escape(value);
+    }
+
+    render(container, content) {
+        if (!container) return;
+
+        // Solo un SafeHtml se interpreta como HTML; cualquier otro valor se muestra como texto
+        if (content instanceof SafeHtml) {
+            container.innerHTML = content.markup;
+        } else {
+            container.textContent = content === null || content === undefined ? '' : String(content);
+        }
+    }
+
+    clear(container) {
+        if (container) {
+            container.replaceChildren();
+        }
+    }
+
+    registerActions(actions) {
+        Object.entries(actions).forEach(([name, handler]) => {
+            this.actions.set(name, handler);
+        });
+    }
+
+    handleAction(event) {
+        const element = event.target.closest('[data-action]');
+        if (!element || element.disabled) return;
+
+        const handler = this.actions.get(element.dataset.action);
+        if (handler) {
+            handler(element, event);
+        }
+    }
+}
+
+// Instancia global de renderizado: debe cargarse antes que el resto de módulos que pintan contenido
+window.htmlRenderer = new HtmlRenderer();
+
+// Acciones comunes a todas las páginas
+window.htmlRenderer.registerActions({
+    dismiss: element => {
+        const target = element.closest('[data-dismissible]');
+        if (target) target.remove();
+    },
+    reload: () => window.location.reload()
+});
@@ -0,0 +1,403 @@
+/**
+ * Módulo de Administración de TAP
+ * Permite al personal de soporte emitir y revocar TAPs para otros usuarios
+ */
+
+// Roles de directorio con permiso para gestionar TAPs de otros usuarios (roleTemplateId -> clave del nombre)
+const TAP_ADMIN_ROLES = {
+    '62e90394-69f5-4237-9190-012177145e10': 'tapAdmin.roles.globalAdministrator',
+    '7be44c8a-adaf-4e2a-84d6-ab2649e08a13': 'tapAdmin.roles.privilegedAuthenticationAdministrator',
+    'c4e39bd9-1100-46d3-8c65-fb160da0071f': 'tapAdmin.roles.authenticationAdministrator'
+};
+
+class TAPAdminManager {
+    constructor() {
+        this.isAdmin = false;
+        this.adminRoles = [];
+        this.selectedUser = null;
+        this.searchResults = [];
+        this.pendingAction = null;
+        this.confirmationTrigger = null;
+    }
+
+    async checkAdminAccess() {
+        try {
+            if (!window.authManager || !window.authManager.isAuthenticated) {
+                return false;
+            }
+
+            const roles = await window.authManager.graph.getAll('me/transitiveMemberOf/microsoft.graph.directoryRole?$select=displayName,roleTemplateId', {
+                scopes: 'profile'
+            });
+            this.adminRoles = roles.value.filter(role => TAP_ADMIN_ROLES[role.roleTemplateId]);
+            this.isAdmin = this.adminRoles.length > 0;
+        } catch (error) {
+            console.error('Error verificando roles de administrador:', error);
+            this.isAdmin = false;
+            this.adminRoles = [];
+        }
+
+        return this.isAdmin;
+    }
+
+    async searchUsers(term) {
+        const query = (term || '').trim().replace(/"/g, '');
+        if (query.length < 2) {
+            return [];
+        }
+
+        const search = encodeURIComponent(`"displayName:${query}" OR "userPrincipalName:${query}"`);
+
+        const result = await window.authManager.graph.get(`users?$search=${search}&$select=id,displayName,userPrincipalName,mail&$top=15`, {
+            // $search en usuarios requiere consultas avanzadas
+            headers: { 'ConsistencyLevel': 'eventual' },
+            scopes: 'manageOthersTAP'
+        });
+        return result.value;
+    }
+
+    async getUserMethods(user) {
+        const result = await window.authManager.graph.getAll(`users/${encodeURIComponent(user.id)}/authentication/methods`, {
+            scopes: 'manageOthersTAP'
+        });
+        return result.value;
+    }
+
+    async selectUser(user) {
+        this.selectedUser = user;
+
+        const detailsContainer = document.getElementById('adminUserDetails');
+        if (detailsContainer) {
+            detailsContainer.classList.remove('hidden');
+        }
+
+        await this.refreshSelectedUser();
+    }
+
+    async refreshSelectedUser() {
+        const user = this.selectedUser;
+        if (!user) return;
+
+        const nameElement = document.getElementById('adminUserName');
+        const upnElement = document.getElementById('adminUserUpn');
+        const methodsContainer = document.getElementById('adminUserMethods');
+        const tapContainer = document.getElementById('adminUserTAPs');
+
+        if (nameElement) nameElement.textContent = user.displayName || user.userPrincipalName;
+        if (upnElement) upnElement.textContent = user.userPrincipalName;
+        window.htmlRenderer.render(methodsContainer, window.htmlRenderer.html`<p class="text-gray-500 text-sm">${window.i18n.t('methods.loading')}</p>`);
+        window.htmlRenderer.clear(tapContainer);
+
+        try {
+            const [methods, taps] = await Promise.all([
+                this.getUserMethods(user),
+                window.tapManager.getTAPMethods(user)
+            ]);
+
+            // Otro usuario seleccionado mientras se cargaban los datos
+            if (this.selectedUser !== user) return;
+
+            this.renderUserMethods(methods);
+            this.renderUserTAPs(taps.value);
+        } catch (error) {
+            console.error('Error cargando métodos del usuario:', error);
+            window.htmlRenderer.clear(methodsContainer);
+            window.tapManager.showTAPError(window.i18n.t('tapAdmin.loadMethodsError', { message: GraphClient.describeError(error) }), {
+                actions: window.authManager.getErrorActions(error, () => this.refreshSelectedUser())
+            });
+        }
+    }
+
+    renderSearchResults(users) {
+        const resultsContainer = document.getElementById('adminSearchResults');
+        if (!resultsContainer) return;
+
+        this.searchResults = users;
+
+        if (users.length === 0) {
+            window.htmlRenderer.render(resultsContainer, window.htmlRenderer.html`<p class="text-gray-500 text-center py-4">${window.i18n.t('tapAdmin.noUsersFound')}</p>`);
+            return;
+        }
+
+        const { html } = window.htmlRenderer;
+        window.htmlRenderer.render(resultsContainer, html`${users.map((user, index) => html`
+            <button type="button" data-action="selectAdminUser" data-user-index="${index}" class="w-full text-left bg-white border rounded-lg px-4 py-3 hover:bg-blue-50 transition-colors">
+                <p class="font-medium text-gray-900">${user.displayName || ''}</p>
+                <p class="text-sm text-gray-600">${user.userPrincipalName}</p>
+            </button>
+        `)}`);
+    }
+
+    renderUserMethods(methods) {
+        const methodsContainer = document.getElementById('adminUserMethods');
+        if (!methodsContainer) return;
+
+        if (methods.length === 0) {
+            window.htmlRenderer.render(methodsContainer, window.htmlRenderer.html`<p class="text-gray-500 text-sm">${window.i18n.t('tapAdmin.noMethods')}</p>`);
+            return;
+        }
+
+        const { html } = window.htmlRenderer;
+        window.htmlRenderer.render(methodsContainer, html`${methods.map(method => html`
+            <li class="flex items-center text-sm text-gray-700">
+                <i class="fas fa-shield-alt text-blue-600 mr-3"></i>
+                ${this.getMethodTypeName(method)}
+                ${method.displayName && html`<span class="ml-2 text-gray-500">(${method.displayName})</span>`}
+            </li>
+        `)}`);
+    }
+
+    getMethodTypeName(method) {
+        const type = AUTH_METHOD_TYPES[method['@odata.type']];
+        return type ? window.i18n.t(type.name) : method['@odata.type'];
+    }
+
+    renderUserTAPs(taps) {
+        const tapContainer = document.getElementById('adminUserTAPs');
+        if (!tapContainer) return;
+
+        if (taps.length === 0) {
+            window.htmlRenderer.render(tapContainer, window.htmlRenderer.html`<p class="text-gray-500 text-sm">${window.i18n.t('tapAdmin.noTAP')}</p>`);
+            return;
+        }
+
+        const userLabel = this.selectedUser ? this.selectedUser.displayName || this.selectedUser.userPrincipalName : '';
+        const { html } = window.htmlRenderer;
+        window.htmlRenderer.render(tapContainer, html`${taps.map(tap => html`
+            <div class="bg-gray-50 rounded-lg border p-4 flex justify-between items-start">
+                <div>
+                    <p class="text-sm font-medium ${tap.methodUsabilityReason === 'Expired' ? 'text-red-600' : 'text-green-600'}">
+                        ${tap.isUsable ? window.i18n.t('tapAdmin.usable') : tap.methodUsabilityReason || window.i18n.t('tapAdmin.notUsable')}
+                    </p>
+                    <p class="text-sm text-gray-600">${window.i18n.t('tap.history.created', { date: window.i18n.formatDateTime(tap.createdDateTime) })}</p>
+                    ${window.tapManager.isPendingActivation(tap) && html`<p class="text-sm text-blue-600">${window.i18n.t('tap.starts', { date: window.i18n.formatDateTime(tap.startDateTime) })}</p>`}
+                    <p class="text-sm text-gray-600">${window.i18n.t('tap.history.lifetime', { lifetime: window.i18n.formatLifetime(tap.lifetimeInMinutes) })}</p>
+                    ${tap.isUsableOnce && html`<span class="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">${window.i18n.t('tap.history.usableOnce')}</span>`}
+                </div>
+                <button type="button" data-action="revokeAdminTAP" data-tap-id="${tap.id}"
+                    class="text-red-600 hover:text-red-800 ml-4 p-1 rounded focus:outline-none focus:ring-2 focus:ring-red-500"
+                    title="${window.i18n.t('tapAdmin.revoke')}"
+                    aria-label="${window.i18n.t('tapAdmin.revokeLabel', { user: userLabel })}">
+                    <i class="fas fa-trash" aria-hidden="true"></i>
+                </button>
+            </div>
+        `)}`);
+    }
+
+    requestConfirmation(action, data = {}) {
+        if (!this.selectedUser) return;
+
+        const modal = document.getElementById('adminConfirmModal');
+        const textElement = document.getElementById('adminConfirmText');
+        const user = this.selectedUser;
+        const userLabel = `${user.displayName || ''} (${user.userPrincipalName})`;
+
+        this.pendingAction = { action, data, user };
+        this.confirmationTrigger = document.activeElement;
+
+        if (textElement) {
+            textElement.textContent = action === 'create'
+                ? window.i18n.t('tapAdmin.confirmCreate', { user: userLabel })
+                : window.i18n.t('tapAdmin.confirmRevoke', { user: userLabel });
+        }
+
+        if (modal) {
+            modal.classList.remove('hidden');
+
+            // Con teclado, la opción por defecto es la que no modifica nada
+            const cancelBtn = document.getElementById('adminCancelBtn');
+            if (cancelBtn) cancelBtn.focus();
+        }
+    }
+
+    restoreConfirmationFocus() {
+        const trigger = this.confirmationTrigger;
+        this.confirmationTrigger = null;
+
+        // El botón que abrió la confirmación desaparece si la lista se vuelve a pintar tras revocar
+        if (trigger && document.body.contains(trigger)) {
+            trigger.focus();
+            return;
+        }
+
+        const fallback = document.querySelector('#adminUserTAPs [data-action="revokeAdminTAP"]')
+            || document.getElementById('adminCreateTAPBtn');
+        if (fallback) fallback.focus();
+    }
+
+    cancelConfirmation() {
+        this.pendingAction = null;
+
+        const modal = document.getElementById('adminConfirmModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    async confirmPendingAction() {
+        const pending = this.pendingAction;
+        this.cancelConfirmation();
+
+        if (!pending) return;
+
+        try {
+            if (pending.action === 'create') {
+                await window.tapManager.generateTAP(pending.data.config, pending.user);
+            } else if (pending.action === 'revoke') {
+                await window.tapManager.deleteTAP(pending.data.tapId, pending.user);
+            }
+        } catch (error) {
+            // TAPManager ya muestra el error al usuario
+            console.error('Error ejecutando acción de administrador:', error);
+        }
+
+        if (this.selectedUser === pending.user) {
+            await this.refreshSelectedUser();
+        }
+        this.restoreConfirmationFocus();
+    }
+
+    async handleAccountChanged() {
+        // La nueva cuenta puede no tener roles de administrador
+        this.cancelConfirmation();
+        this.selectedUser = null;
+
+        const detailsContainer = document.getElementById('adminUserDetails');
+        const resultsContainer = document.getElementById('adminSearchResults');
+        if (detailsContainer) detailsContainer.classList.add('hidden');
+        this.searchResults = [];
+        window.htmlRenderer.clear(resultsContainer);
+
+        if (await this.checkAdminAccess()) {
+            this.showAdminSection();
+        } else {
+            this.hideAdminSection();
+        }
+    }
+
+    handleLocaleChanged() {
+        if (!this.isAdmin) return;
+
+        this.showAdminSection();
+        this.refreshSelectedUser();
+    }
+
+    hideAdminSection() {
+        const adminSection = document.getElementById('adminSection');
+        if (adminSection) {
+            adminSection.classList.add('hidden');
+        }
+    }
+
+    showAdminSection() {
+        const adminSection = document.getElementById('adminSection');
+        const rolesElement = document.getElementById('adminRoles');
+
+        if (rolesElement) {
+            rolesElement.textContent = this.adminRoles
+                .map(role => window.i18n.t(TAP_ADMIN_ROLES[role.roleTemplateId]))
+                .join(', ');
+        }
+
+        if (adminSection) {
+            adminSection.classList.remove('hidden');
+        }
+    }
+}
+
+// Instancia global del administrador de TAPs para otros usuarios
+window.tapAdminManager = new TAPAdminManager();
+
+// Manejadores de eventos para la vista de administración
+document.addEventListener('DOMContentLoaded', function() {
+    const searchForm = document.getElementById('adminSearchForm');
+    const createBtn = document.getElementById('adminCreateTAPBtn');
+    const confirmBtn = document.getElementById('adminConfirmBtn');
+    const cancelBtn = document.getElementById('adminCancelBtn');
+
+    window.htmlRenderer.registerActions({
+        selectAdminUser: element => {
+            tapAdminManager.selectUser(tapAdminManager.searchResults[parseInt(element.dataset.userIndex, 10)]);
+        },
+        revokeAdminTAP: element => {
+            tapAdminManager.requestConfirmation('revoke', { tapId: element.dataset.tapId });
+        }
+    });
+
+    if (searchForm) {
+        searchForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const term = new FormData(searchForm).get('adminSearch');
+            try {
+                const users = await tapAdminManager.searchUsers(term);
+                tapAdminManager.renderSearchResults(users);
+            } catch (error) {
+                console.error('Error buscando usuarios:', error);
+                tapManager.showTAPError(window.i18n.t('tapAdmin.searchError', { message: GraphClient.describeError(error) }), {
+                    actions: window.authManager.getErrorActions(error)
+                });
+            }
+        });
+    }
+
+    if (createBtn) {
+        createBtn.addEventListener('click', () => {
+            const adminTapForm = document.getElementById('adminTapForm');
+            const formData = new FormData(adminTapForm);
+
+            tapAdminManager.requestConfirmation('create', {
+                config: {
+                    lifetimeInMinutes: parseInt(formData.get('adminLifetime')) || 60,
+                    isUsableOnce: formData.get('adminUsableOnce') === 'on',
+                    startDateTime: tapManager.getStartDateTime(formData, 'adminStartDateTime', 'adminStartTimeZone')
+                }
+            });
+        });
+    }
+
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', () => tapAdminManager.confirmPendingAction());
+    }
+
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+            tapAdminManager.cancelConfirmation();
+            tapAdminManager.restoreConfirmationFocus();
+        });
+    }
+
+    // Mostrar la vista de administración solo a roles autorizados
+    if (window.authManager) {
+        window.authManager.ready.then(async () => {
+            if (await tapAdminManager.checkAdminAccess()) {
+                tapAdminManager.showAdminSection();
+
+                // Volver al usuario que estaba seleccionado antes de una redirección
+                const restored = window.authManager.takeRestoredState('tapAdmin');
+                if (restored && restored.selectedUser) {
+                    tapAdminManager.selectUser(restored.selectedUser);
+                }
+            }
+        });
+    }
+
+    window.addEventListener('auth:beforeredirect', (event) => {
+        if (tapAdminManager.selectedUser) {
+            event.detail.modules.tapAdmin = { selectedUser: tapAdminManager.selectedUser };
+        }
+    });
+
+    window.addEventListener('auth:accountchanged', () => {
+        tapAdminManager.handleAccountChanged();
+    });
+
+    // Una acción pendiente de confirmar no puede completarse sin sesión
+    window.addEventListener('auth:sessionlost', () => {
+        tapAdminManager.cancelConfirmation();
+    });
+
+    window.addEventListener('i18n:localechanged', () => {
+        tapAdminManager.handleLocaleChanged();
+    });
+});
@@ -0,0 +1,20 @@
+/**
+ * Inicialización de la Página TAP
+ * Comprueba la sesión antes de mostrar el generador de Temporary Access Pass
+ */
+
+document.addEventListener('DOMContentLoaded', async function() {
+    if (!window.authManager) {
+        window.location.href = 'index.html';
+        return;
+    }
+
+    // Esperar a que la configuración y MSAL estén listos
+    await window.authManager.ready;
+
+    // Verificar autenticación (sin MSAL se muestra la página de error de configuración)
+    if (window.authManager.msalInstance && !window.authManager.isAuthenticated) {
+        // Redirigir a autenticación si es necesario
+        window.location.href = 'index.html';
+    }
+});
@@ -3,19 +3,52 @@
  * Maneja la generación, visualización y gestión de TAPs
  */
 
+// Estados de la cuenta atrás: el icono y el texto indican la urgencia además del color
+const TAP_COUNTDOWN_LEVELS = {
+    pending: { icon: 'fa-hourglass-start', color: 'text-blue-600', message: 'tap.countdown.pending' },
+    normal: { icon: 'fa-clock', color: 'text-green-600', message: 'tap.countdown.remaining' },
+    low: { icon: 'fa-exclamation-circle', color: 'text-yellow-600', message: 'tap.countdown.remainingLow' },
+    critical: { icon: 'fa-exclamation-triangle', color: 'text-orange-600', message: 'tap.countdown.remainingCritical' },
+    expired: { icon: 'fa-times-circle', color: 'text-red-600', message: 'tap.countdown.expired' }
+};
+
+// Minutos restantes que se anuncian a los lectores de pantalla
+const TAP_COUNTDOWN_MILESTONES_MINUTES = [15, 5, 1];
+
+// Entradas que conserva el historial local, también tras sincronizar con el servidor
+const TAP_HISTORY_LIMIT = 10;
+
 class TAPManager {
     constructor() {
         this.currentTAP = null;
         this.tapHistory = [];
-        this.init();
+        this.policy = null;
+        this.policyEnabledForUser = true;
+        // Sin permiso para leer la política se indica en el formulario que no se ha podido comprobar
+        this.policyUnavailable = false;
+        this.policyErrorShown = false;
+        // El código se muestra enmascarado hasta que el operador lo revela
+        this.tapRevealed = false;
+    }
+
+    getHistoryKey() {
+        return window.authManager
+            ? window.authManager.getAccountStorageKey('tapHistory')
+            : 'tapHistory';
     }
 
-    init() {
-        // Cargar historial desde localStorage
-        const savedHistory = localStorage.getItem('tapHistory');
+    loadHistory() {
+        // Cargar historial de la cuenta activa desde localStorage
+        this.tapHistory = [];
+        const savedHistory = localStorage.getItem(this.getHistoryKey());
         if (savedHistory) {
             try {
                 this.tapHistory = JSON.parse(savedHistory);
+
+                // Eliminar códigos TAP guardados por versiones anteriores
+                if (this.tapHistory.some(tap => tap.temporaryAccessPass)) {
+                    this.saveHistory();
+                }
             } catch (error) {
                 console.error('Error cargando historial TAP:', error);
                 this.tapHistory = [];
@@ -23,23 +56,53 @@ class TAPManager {
         }
     }
 
-    async generateTAP(config = {}) {
+    getTAPScopes(targetUser = null, write = false) {
+        // La cuenta propia solo pide escritura al crear o eliminar; la consulta basta con lectura
+        if (targetUser) {
+            return 'manageOthersTAP';
+        }
+        return write ? 'manageOwnMethods' : 'readOwnMethods';
+    }
+
+    getTAPPath(targetUser = null) {
+        // Sin usuario destino se opera sobre la cuenta del usuario autenticado
+        const userPath = targetUser ? `users/${encodeURIComponent(targetUser.id)}` : 'me';
+        return `${userPath}/authentication/temporaryAccessPassMethods`;
+    }
+
+    async generateTAP(config = {}, targetUser = null) {
         try {
             // Verificar autenticación
             if (!window.authManager || !window.authManager.isAuthenticated) {
-                throw new Error('Usuario no autenticado');
+                throw new Error(window.i18n.t('common.notAuthenticated'));
+            }
+
+            // TAP deshabilitado por la política del tenant para el usuario actual
+            if (!targetUser && this.policy && !this.policyEnabledForUser) {
+                throw new Error(this.getPolicyDisabledMessage());
             }
 
             // Configuración por defecto
             const tapConfig = {
-                lifetimeInMinutes: config.lifetimeInMinutes || 60,
+                lifetimeInMinutes: config.lifetimeInMinutes || (this.policy && this.policy.defaultLifetimeInMinutes) || 60,
                 isUsableOnce: config.isUsableOnce || false,
                 ...config
             };
 
-            // Obtener token de acceso
-            const token = await window.authManager.getAccessToken();
-            
+            // Aplicar las restricciones de la política del tenant
+            if (this.policy) {
+                const { minimumLifetimeInMinutes, maximumLifetimeInMinutes } = this.policy;
+                if (tapConfig.lifetimeInMinutes < minimumLifetimeInMinutes || tapConfig.lifetimeInMinutes > maximumLifetimeInMinutes) {
+                    throw new Error(window.i18n.t('tap.policyRange', {
+                        min: window.i18n.formatLifetime(minimumLifetimeInMinutes),
+                        max: window.i18n.formatLifetime(maximumLifetimeInMinutes)
+                    }));
+                }
+                if (this.policy.isUsableOnce) {
+                    tapConfig.isUsableOnce = true;
+                }
+            }
+
             // Preparar cuerpo de la solicitud
             const requestBody = {
                 '@odata.type': '#microsoft.graph.temporaryAccessPassAuthenticationMethod',
@@ -47,32 +110,40 @@ class TAPManager {
                 'isUsableOnce': tapConfig.isUsableOnce
             };
 
-            // Realizar solicitud a Microsoft Graph API
-            const response = await fetch('https://graph.microsoft.com/v1.0/me/authentication/temporaryAccessPassMethods', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`Error Graph API: ${errorData.error?.message || response.statusText}`);
+            // Activación programada
+            if (tapConfig.startDateTime) {
+                if (new Date(tapConfig.startDateTime).getTime() <= Date.now()) {
+                    throw new Error(window.i18n.t('tap.startInPast'));
+                }
+                requestBody.startDateTime = tapConfig.startDateTime;
             }
 
-            const result = await response.json();
+            // Realizar solicitud a Microsoft Graph API
+            let result;
+            try {
+                result = await window.authManager.graph.post(this.getTAPPath(targetUser), requestBody, {
+                    scopes: this.getTAPScopes(targetUser, true)
+                });
+            } catch (error) {
+                if (error instanceof GraphError) {
+                    throw new Error(this.explainGenerateError(error, targetUser));
+                }
+                throw error;
+            }
             
             // Crear objeto TAP con información completa
+            const startDateTime = result.startDateTime || result.createdDateTime;
             const tapData = {
                 id: result.id,
                 temporaryAccessPass: result.temporaryAccessPass,
                 createdDateTime: result.createdDateTime,
+                startDateTime: startDateTime,
                 lifetimeInMinutes: result.lifetimeInMinutes,
                 isUsableOnce: result.isUsableOnce,
-                expiresDateTime: new Date(new Date(result.createdDateTime).getTime() + (result.lifetimeInMinutes * 60000)).toISOString(),
-                createdBy: window.authManager.currentUser.username
+                expiresDateTime: this.getExpiresDateTime(startDateTime, result.lifetimeInMinutes),
+                createdBy: window.authManager.currentUser.username,
+                targetUser: targetUser ? targetUser.userPrincipalName : null,
+                targetUserId: targetUser ? targetUser.id : null
             };
 
             // Almacenar TAP actual
@@ -91,84 +162,482 @@ class TAPManager {
 
         } catch (error) {
             console.error('Error generando TAP:', error);
-            this.showTAPError('Error al generar TAP: ' + error.message);
+            this.showTAPError(window.i18n.t('tap.generateError', { message: error.message }), {
+                actions: window.authManager.getErrorActions(error)
+            });
             throw error;
         }
     }
 
-    async getTAPMethods() {
+    async getTAPMethods(targetUser = null, options = {}) {
+        if (!window.authManager || !window.authManager.isAuthenticated) {
+            throw new Error(window.i18n.t('common.notAuthenticated'));
+        }
+
+        return await window.authManager.graph.getAll(this.getTAPPath(targetUser), {
+            scopes: this.getTAPScopes(targetUser),
+            ...options
+        });
+    }
+
+    handleAccountChanged() {
+        // El TAP visible y el historial pertenecen a la cuenta anterior
+        this.hideTAPDisplay();
+        this.loadHistory();
+        this.refreshTAPList();
+        this.policyErrorShown = false;
+        this.loadPolicy();
+        this.syncHistory();
+    }
+
+    handleSessionLost() {
+        // La cuenta atrás se detiene hasta recuperar la sesión; el TAP sigue en memoria
+        this.pauseCountdown();
+    }
+
+    handleSignedIn() {
+        if (this.currentTAP) {
+            this.startTAPCountdown(this.currentTAP);
+        }
+        this.loadPolicy();
+        this.syncHistory();
+    }
+
+    handleLocaleChanged() {
+        // La cuenta atrás se actualiza sola cada segundo; el resto del contenido se vuelve a pintar
+        this.labelLifetimeOptions();
+        this.refreshTAPList();
+        if (this.currentTAP) {
+            this.renderTAPDetails(this.currentTAP);
+        }
+        if (this.policy || this.policyUnavailable) {
+            this.applyPolicyToForm();
+        }
+    }
+
+    pauseCountdown() {
+        if (this.currentCountdownInterval) {
+            clearInterval(this.currentCountdownInterval);
+            this.currentCountdownInterval = null;
+        }
+    }
+
+    async loadPolicy() {
+        if (!window.authManager || !window.authManager.isAuthenticated) {
+            return null;
+        }
+
+        // Requiere Policy.Read.All, que solo tienen los administradores (no se pide de forma interactiva):
+        // sin ese permiso el formulario avisa de que los límites los aplicará Microsoft Graph al generar el TAP
         try {
-            if (!window.authManager || !window.authManager.isAuthenticated) {
-                throw new Error('Usuario no autenticado');
+            this.policy = await window.authManager.graph.get('policies/authenticationMethodsPolicy/authenticationMethodConfigurations/TemporaryAccessPass', {
+                scopes: 'readPolicy',
+                interactive: false
+            });
+            this.policyUnavailable = false;
+        } catch (error) {
+            console.warn('No se pudo leer la política TAP del tenant:', error);
+            this.policy = null;
+            this.policyUnavailable = true;
+            this.policyEnabledForUser = true;
+            this.applyPolicyToForm();
+            return null;
+        }
+
+        // Si no se puede comprobar la pertenencia a los grupos se mantienen los límites de la política
+        // y la decisión sobre el usuario queda en manos del servidor
+        try {
+            this.policyEnabledForUser = await this.isPolicyEnabledForUser(this.policy);
+        } catch (error) {
+            console.warn('No se pudo comprobar si la política TAP incluye al usuario:', error);
+            this.policyEnabledForUser = true;
+        }
+
+        this.applyPolicyToForm();
+        return this.policy;
+    }
+
+    async isPolicyEnabledForUser(policy) {
+        if (policy.state !== 'enabled') {
+            return false;
+        }
+
+        const includeIds = (policy.includeTargets || []).map(target => target.id);
+        const excludeIds = (policy.excludeTargets || []).map(target => target.id);
+        const groupIds = [...includeIds, ...excludeIds].filter(id => id !== 'all_users');
+
+        // Comprobar la pertenencia del usuario a los grupos de la política
+        let memberGroups = [];
+        if (groupIds.length > 0) {
+            const result = await window.authManager.graph.post('me/checkMemberGroups', { groupIds }, {
+                scopes: 'profile',
+                interactive: false
+            });
+            memberGroups = result.value;
+        }
+
+        const isIncluded = includeIds.includes('all_users') || includeIds.some(id => memberGroups.includes(id));
+        const isExcluded = excludeIds.some(id => id === 'all_users' || memberGroups.includes(id));
+
+        return isIncluded && !isExcluded;
+    }
+
+    applyPolicyToForm() {
+        const policy = this.policy;
+        const policyInfo = document.getElementById('tapPolicyInfo');
+
+        // Las duraciones se reconstruyen siempre desde la lista completa del formulario
+        document.querySelectorAll('select[data-lifetime-select]').forEach(select => this.renderLifetimeOptions(select));
+
+        if (!policy) {
+            if (policyInfo) {
+                policyInfo.textContent = this.policyUnavailable ? window.i18n.t('tap.policyUnavailable') : '';
+                policyInfo.classList.toggle('hidden', !this.policyUnavailable);
             }
+            return;
+        }
 
-            const token = await window.authManager.getAccessToken();
-            
-            const response = await fetch('https://graph.microsoft.com/v1.0/me/authentication/temporaryAccessPassMethods', {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
+        // La política puede obligar a que el TAP sea de uso único
+        document.querySelectorAll('input[data-usable-once]').forEach(checkbox => {
+            checkbox.checked = policy.isUsableOnce || checkbox.checked;
+            checkbox.disabled = !!policy.isUsableOnce;
+        });
+
+        const usableOnceHint = document.getElementById('usableOnceHint');
+        if (usableOnceHint && policy.isUsableOnce) {
+            usableOnceHint.textContent = window.i18n.t('tap.usableOnceEnforced');
+        }
+
+        if (policyInfo) {
+            policyInfo.textContent = window.i18n.t('tap.policyInfo', {
+                min: window.i18n.formatLifetime(policy.minimumLifetimeInMinutes),
+                max: window.i18n.formatLifetime(policy.maximumLifetimeInMinutes),
+                default: window.i18n.formatLifetime(policy.defaultLifetimeInMinutes)
+            });
+            policyInfo.classList.remove('hidden');
+        }
+
+        // El aviso se muestra una vez por cuenta, no en cada cambio de idioma o inicio de sesión
+        if (!this.policyEnabledForUser && !this.policyErrorShown) {
+            this.policyErrorShown = true;
+            this.showTAPError(this.getPolicyDisabledMessage());
+        }
+    }
+
+    getLifetimeOptions(values) {
+        // Duraciones del formulario dentro del rango de la política, incluida siempre la predeterminada
+        const policy = this.policy;
+        if (!policy) {
+            return [...values];
+        }
+
+        const allowed = values.filter(minutes =>
+            minutes >= policy.minimumLifetimeInMinutes && minutes <= policy.maximumLifetimeInMinutes);
+        if (!allowed.includes(policy.defaultLifetimeInMinutes)) {
+            allowed.push(policy.defaultLifetimeInMinutes);
+        }
+        return allowed.sort((a, b) => a - b);
+    }
+
+    renderLifetimeOptions(select) {
+        // La primera vez se guarda la lista completa y la duración marcada en el HTML
+        if (!select.dataset.lifetimeOptions) {
+            select.dataset.lifetimeOptions = Array.from(select.options).map(option => option.value).join(',');
+            select.dataset.lifetimeDefault = select.value;
+            select.dataset.lifetimeApplied = select.value;
+        }
+
+        const values = this.getLifetimeOptions(select.dataset.lifetimeOptions.split(',').map(Number));
+        const defaultValue = this.policy ? this.policy.defaultLifetimeInMinutes : Number(select.dataset.lifetimeDefault);
+
+        // Se respeta la duración elegida por el operador mientras siga permitida
+        const current = Number(select.value);
+        const chosenByUser = select.value !== select.dataset.lifetimeApplied;
+        const selected = chosenByUser && values.includes(current) ? current : defaultValue;
+
+        select.replaceChildren(...values.map(minutes =>
+            new Option(window.i18n.formatLifetime(minutes), String(minutes))));
+        select.value = String(selected);
+        if (!chosenByUser || selected !== current) {
+            select.dataset.lifetimeApplied = select.value;
+        }
+    }
+
+    getPolicyDisabledMessage() {
+        return this.policy && this.policy.state !== 'enabled'
+            ? window.i18n.t('tap.policyDisabled')
+            : window.i18n.t('tap.policyNotIncluded');
+    }
+
+    explainGenerateError(error, targetUser) {
+        // Graph rechaza la creación cuando la política no habilita TAP para el usuario
+        if (error instanceof GraphPolicyError) {
+            return targetUser
+                ? window.i18n.t('tap.policyDeniedForUser', { user: targetUser.userPrincipalName })
+                : this.getPolicyDisabledMessage();
+        }
+
+        return GraphClient.describeError(error);
+    }
+
+    labelLifetimeOptions() {
+        // Las duraciones se muestran en el idioma de la interfaz
+        document.querySelectorAll('select[data-lifetime-select] option').forEach(option => {
+            option.textContent = window.i18n.formatLifetime(parseInt(option.value, 10));
+        });
+    }
+
+    async syncHistory() {
+        try {
+            // Agrupar el historial por cuenta de destino (null = cuenta propia)
+            const targets = new Map([[null, null]]);
+            this.tapHistory.forEach(tap => {
+                if (tap.targetUserId && !targets.has(tap.targetUserId)) {
+                    targets.set(tap.targetUserId, { id: tap.targetUserId, userPrincipalName: tap.targetUser });
                 }
             });
 
-            if (!response.ok) {
-                throw new Error(`Error Graph API: ${response.status}`);
-            }
+            // Sincronización en segundo plano: nunca abre una interacción; si falta un permiso se ofrece concederlo
+            const results = await Promise.all([...targets.entries()].map(async ([targetUserId, targetUser]) => {
+                try {
+                    const result = await this.getTAPMethods(targetUser, { interactive: false });
+                    return { targetUserId, targetUser, methods: result.value };
+                } catch (error) {
+                    // Un usuario de destino eliminado ya no tiene TAPs
+                    if (targetUser && error instanceof GraphNotFoundError) {
+                        return { targetUserId, targetUser, methods: [] };
+                    }
+                    // Sin respuesta del servidor no se puede afirmar que los TAPs se eliminaron
+                    console.error('Error obteniendo métodos TAP:', error);
+                    return { targetUserId, targetUser, methods: null, error };
+                }
+            }));
+
+            results.forEach(({ targetUserId, targetUser, methods }) => {
+                if (methods) {
+                    this.reconcileHistory(methods, targetUserId, targetUser);
+                }
+            });
 
-            return await response.json();
+            this.trimHistory();
+            this.saveHistory();
+
+            if (results[0].methods === null) {
+                this.showSyncError(results[0].error);
+            }
         } catch (error) {
-            console.error('Error obteniendo métodos TAP:', error);
-            return { value: [] };
+            console.error('Error sincronizando historial TAP:', error);
+            this.showSyncError(error);
         }
+
+        this.refreshTAPList();
     }
 
-    async deleteTAP(tapId) {
-        try {
-            if (!window.authManager || !window.authManager.isAuthenticated) {
-                throw new Error('Usuario no autenticado');
+    reconcileHistory(serverMethods, targetUserId = null, targetUser = null) {
+        const serverById = new Map(serverMethods.map(method => [method.id, method]));
+
+        // Actualizar o marcar las entradas locales de esta cuenta
+        this.tapHistory.forEach(tap => {
+            if ((tap.targetUserId || null) !== targetUserId) return;
+
+            const serverTAP = serverById.get(tap.id);
+            if (serverTAP) {
+                Object.assign(tap, this.fromServerTAP(serverTAP), { removedOnServer: false });
+                serverById.delete(tap.id);
+            } else {
+                tap.removedOnServer = true;
             }
+        });
 
-            const token = await window.authManager.getAccessToken();
-            
-            const response = await fetch(`https://graph.microsoft.com/v1.0/me/authentication/temporaryAccessPassMethods/${tapId}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
+        // Agregar los TAPs que solo existen en el servidor
+        serverById.forEach(serverTAP => {
+            this.tapHistory.push({
+                ...this.fromServerTAP(serverTAP),
+                createdBy: null,
+                targetUser: targetUser ? targetUser.userPrincipalName : null,
+                targetUserId,
+                serverOnly: true
             });
+        });
+    }
 
-            if (!response.ok && response.status !== 204) {
-                throw new Error(`Error Graph API: ${response.status}`);
+    fromServerTAP(serverTAP) {
+        const startDateTime = serverTAP.startDateTime || serverTAP.createdDateTime;
+        return {
+            id: serverTAP.id,
+            createdDateTime: serverTAP.createdDateTime,
+            startDateTime,
+            lifetimeInMinutes: serverTAP.lifetimeInMinutes,
+            isUsableOnce: serverTAP.isUsableOnce,
+            isUsable: serverTAP.isUsable,
+            methodUsabilityReason: serverTAP.methodUsabilityReason,
+            expiresDateTime: this.getExpiresDateTime(startDateTime, serverTAP.lifetimeInMinutes)
+        };
+    }
+
+    async deleteTAP(tapId, targetUser = null) {
+        try {
+            if (!window.authManager || !window.authManager.isAuthenticated) {
+                throw new Error(window.i18n.t('common.notAuthenticated'));
             }
 
+            await window.authManager.graph.delete(`${this.getTAPPath(targetUser)}/${encodeURIComponent(tapId)}`, {
+                scopes: this.getTAPScopes(targetUser, true)
+            });
+
             // Remover del historial local
             this.tapHistory = this.tapHistory.filter(tap => tap.id !== tapId);
             this.saveHistory();
             
-            this.showTAPSuccess('TAP eliminado exitosamente');
+            this.showTAPSuccess(window.i18n.t('tap.deleted'));
             this.refreshTAPList();
             
             return true;
         } catch (error) {
             console.error('Error eliminando TAP:', error);
-            this.showTAPError('Error al eliminar TAP: ' + error.message);
+            this.showTAPError(window.i18n.t('tap.deleteError', { message: GraphClient.describeError(error) }), {
+                actions: window.authManager.getErrorActions(error)
+            });
             return false;
         }
     }
 
-    addToHistory(tapData) {
-        // Limitar historial a los últimos 10 TAPs
-        if (this.tapHistory.length >= 10) {
-            this.tapHistory = this.tapHistory.slice(-9);
+    async deleteHistoryEntry(button) {
+        const buttons = [...document.querySelectorAll('#tapHistoryList [data-action="deleteHistoryTAP"]')];
+        const position = buttons.indexOf(button);
+
+        await this.deleteHistoryTAP(button.dataset.tapId);
+        this.focusHistoryEntry(position);
+    }
+
+    focusHistoryEntry(position) {
+        // Tras volver a pintar la lista, el foco pasa a la entrada que ocupa el lugar de la eliminada
+        const buttons = document.querySelectorAll('#tapHistoryList [data-action="deleteHistoryTAP"]');
+        if (buttons.length > 0) {
+            buttons[Math.min(Math.max(position, 0), buttons.length - 1)].focus();
+            return;
         }
-        
+
+        const refreshBtn = document.getElementById('refreshHistoryBtn');
+        if (refreshBtn) refreshBtn.focus();
+    }
+
+    getExpiresDateTime(startDateTime, lifetimeInMinutes) {
+        // La vigencia empieza en la activación, no en la creación
+        return new Date(new Date(startDateTime).getTime() + (lifetimeInMinutes * 60000)).toISOString();
+    }
+
+    isPendingActivation(tap) {
+        return !!tap.startDateTime && new Date(tap.startDateTime).getTime() > Date.now();
+    }
+
+    getLocalTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    getTimeZones() {
+        const localTimeZone = this.getLocalTimeZone();
+        const timeZones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : [localTimeZone, 'UTC'];
+
+        return timeZones.includes(localTimeZone) ? timeZones : [localTimeZone, ...timeZones];
+    }
+
+    getTimeZoneOffset(timestamp, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(new Date(timestamp)).reduce((acc, part) => {
+            acc[part.type] = parseInt(part.value, 10);
+            return acc;
+        }, {});
+
+        const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUTC - (timestamp - (timestamp % 1000));
+    }
+
+    zonedTimeToUtc(localDateTime, timeZone) {
+        // Convierte el valor de un input datetime-local interpretado en la zona horaria indicada
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(localDateTime || '');
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute] = match.map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+        // Se recalcula el desfase en el instante resultante para cubrir cambios de horario
+        let timestamp = wallClock - this.getTimeZoneOffset(wallClock, timeZone);
+        timestamp = wallClock - this.getTimeZoneOffset(timestamp, timeZone);
+
+        return new Date(timestamp).toISOString();
+    }
+
+    populateTimeZoneSelects() {
+        const localTimeZone = this.getLocalTimeZone();
+        const options = this.getTimeZones().map(timeZone =>
+            window.htmlRenderer.html`<option value="${timeZone}">${timeZone.replace(/_/g, ' ')}</option>`
+        );
+
+        document.querySelectorAll('select[data-timezone-select]').forEach(select => {
+            window.htmlRenderer.render(select, window.htmlRenderer.html`${options}`);
+            select.value = localTimeZone;
+        });
+    }
+
+    getStartDateTime(formData, dateField, timeZoneField) {
+        const localValue = formData.get(dateField);
+        if (!localValue) return null;
+
+        return this.zonedTimeToUtc(localValue, formData.get(timeZoneField) || this.getLocalTimeZone());
+    }
+
+    deleteHistoryTAP(tapId) {
+        const entry = this.tapHistory.find(tap => tap.id === tapId);
+
+        // Los TAPs ya eliminados en el servidor solo se quitan del historial local
+        if (entry && entry.removedOnServer) {
+            this.tapHistory = this.tapHistory.filter(tap => tap.id !== tapId);
+            this.saveHistory();
+            this.refreshTAPList();
+            return Promise.resolve(true);
+        }
+
+        // Los TAPs emitidos para otros usuarios se eliminan en la cuenta de destino
+        const targetUser = entry && entry.targetUserId
+            ? { id: entry.targetUserId, userPrincipalName: entry.targetUser }
+            : null;
+        return this.deleteTAP(tapId, targetUser);
+    }
+
+    addToHistory(tapData) {
         this.tapHistory.push(tapData);
+        this.trimHistory();
         this.saveHistory();
     }
 
+    trimHistory() {
+        // Los TAPs que solo existen en el servidor se añaden al final: se conservan los más recientes por fecha
+        if (this.tapHistory.length <= TAP_HISTORY_LIMIT) return;
+
+        this.tapHistory = this.tapHistory
+            .map((tap, index) => ({ tap, index, time: new Date(tap.createdDateTime).getTime() || 0 }))
+            .sort((a, b) => (a.time - b.time) || (a.index - b.index))
+            .slice(-TAP_HISTORY_LIMIT)
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.tap);
+    }
+
     saveHistory() {
         try {
-            localStorage.setItem('tapHistory', JSON.stringify(this.tapHistory));
+            // Nunca persistir el código TAP en el navegador
+            const history = this.tapHistory.map(({ temporaryAccessPass, ...tap }) => tap);
+            localStorage.setItem(this.getHistoryKey(), JSON.stringify(history));
         } catch (error) {
             console.error('Error guardando historial:', error);
         }
@@ -177,23 +646,19 @@ class TAPManager {
     displayGeneratedTAP(tapData) {
         const tapContainer = document.getElementById('tapDisplayContainer');
         const tapCodeElement = document.getElementById('tapCode');
-        const tapExpiresElement = document.getElementById('tapExpires');
-        const tapCountdownElement = document.getElementById('tapCountdown');
 
+        // Cada TAP nuevo empieza oculto, aunque el anterior estuviera revelado
+        this.tapRevealed = false;
         if (tapCodeElement) {
-            tapCodeElement.textContent = tapData.temporaryAccessPass;
             tapCodeElement.classList.remove('hidden');
         }
 
-        if (tapExpiresElement) {
-            const expiresDate = new Date(tapData.expiresDateTime);
-            tapExpiresElement.textContent = `Expira: ${expiresDate.toLocaleString()}`;
-        }
+        this.renderTAPDetails(tapData);
 
         if (tapContainer) {
             tapContainer.classList.remove('hidden');
             // Animación de revelación
-            anime({
+            window.motion.animate({
                 targets: tapContainer,
                 opacity: [0, 1],
                 translateY: [-20, 0],
@@ -209,36 +674,98 @@ class TAPManager {
         }
     }
 
+    renderTAPDetails(tapData) {
+        this.renderTAPSecret(tapData);
+
+        const tapExpiresElement = document.getElementById('tapExpires');
+        if (tapExpiresElement) {
+            tapExpiresElement.textContent = window.i18n.t('tap.expires', { date: window.i18n.formatDateTime(tapData.expiresDateTime) });
+        }
+
+        const tapStartsElement = document.getElementById('tapStarts');
+        if (tapStartsElement) {
+            tapStartsElement.textContent = this.isPendingActivation(tapData)
+                ? window.i18n.t('tap.starts', { date: window.i18n.formatDateTime(tapData.startDateTime) })
+                : '';
+            tapStartsElement.classList.toggle('hidden', !this.isPendingActivation(tapData));
+        }
+
+        const tapTargetElement = document.getElementById('tapTargetUser');
+        if (tapTargetElement) {
+            tapTargetElement.textContent = tapData.targetUser ? window.i18n.t('tap.forUser', { user: tapData.targetUser }) : '';
+            tapTargetElement.classList.toggle('hidden', !tapData.targetUser);
+        }
+    }
+
     startTAPCountdown(tapData) {
         const countdownElement = document.getElementById('tapCountdown');
         if (!countdownElement) return;
 
+        // Detener una cuenta atrás anterior
+        if (this.currentCountdownInterval) {
+            clearInterval(this.currentCountdownInterval);
+            this.currentCountdownInterval = null;
+        }
+
+        const startTime = new Date(tapData.startDateTime || tapData.createdDateTime).getTime();
         const expiresTime = new Date(tapData.expiresDateTime).getTime();
-        
+        const colorClasses = Object.values(TAP_COUNTDOWN_LEVELS).map(level => level.color);
+
+        // Solo se anuncian los hitos que se alcanzan con la página abierta
+        let wasPending = Date.now() < startTime;
+        const pendingMilestones = TAP_COUNTDOWN_MILESTONES_MINUTES
+            .filter(minutes => expiresTime - Date.now() > minutes * 60000);
+
+        const showLevel = (level, duration) => {
+            const { icon, color, message } = TAP_COUNTDOWN_LEVELS[level];
+            countdownElement.classList.remove(...colorClasses);
+            countdownElement.classList.add(color);
+            window.htmlRenderer.render(countdownElement, window.htmlRenderer.html`
+                <i class="fas ${icon} mr-2" aria-hidden="true"></i>${window.i18n.t(message, { duration })}
+            `);
+        };
+
         const updateCountdown = () => {
             const now = Date.now();
+
+            // TAP programado que aún no está activo
+            if (now < startTime) {
+                showLevel('pending', window.i18n.formatDuration(startTime - now));
+                return;
+            }
+
+            if (wasPending) {
+                wasPending = false;
+                window.notifications.announce(window.i18n.t('tap.countdown.activated'));
+            }
+
             const remaining = expiresTime - now;
             
             if (remaining <= 0) {
-                countdownElement.textContent = 'TAP expirado';
-                countdownElement.classList.add('text-red-600');
+                showLevel('expired');
+                window.notifications.announce(window.i18n.t('tap.countdown.expired'), { assertive: true });
                 this.hideTAPDisplay();
                 return;
             }
             
             const minutes = Math.floor(remaining / 60000);
-            const seconds = Math.floor((remaining % 60000) / 1000);
-            
-            countdownElement.textContent = `Tiempo restante: ${minutes}:${seconds.toString().padStart(2, '0')}`;
-            
-            // Cambiar color según tiempo restante
+
+            // Varios hitos alcanzados a la vez (pestaña en segundo plano): se anuncia el más reciente
+            const reached = pendingMilestones.filter(milestone => remaining <= milestone * 60000);
+            if (reached.length > 0) {
+                pendingMilestones.splice(0, reached.length);
+                const count = reached[reached.length - 1];
+                window.notifications.announce(window.i18n.t('tap.countdown.milestone', { count }));
+            }
+
+            // Cambiar color, icono y texto según tiempo restante
+            let level = 'normal';
             if (minutes < 5) {
-                countdownElement.classList.add('text-orange-600');
+                level = 'critical';
             } else if (minutes < 15) {
-                countdownElement.classList.add('text-yellow-600');
-            } else {
-                countdownElement.classList.add('text-green-600');
+                level = 'low';
             }
+            showLevel(level, window.i18n.formatDuration(remaining));
         };
         
         updateCountdown();
@@ -248,6 +775,126 @@ class TAPManager {
         this.currentCountdownInterval = interval;
     }
 
+    getSignInUrl() {
+        // Por defecto, el asistente de esta misma aplicación; config.json -> tapSignInUrl lo sustituye
+        const config = window.authManager && window.authManager.config;
+        return (config && config.tapSignInUrl) || new URL('index.html', window.location.href).href;
+    }
+
+    getTAPUser(tapData) {
+        return tapData.targetUser || tapData.createdBy;
+    }
+
+    renderTAPSecret(tapData) {
+        const { html } = window.htmlRenderer;
+
+        const tapCodeElement = document.getElementById('tapCode');
+        window.htmlRenderer.render(tapCodeElement, this.tapRevealed
+            ? tapData.temporaryAccessPass
+            : html`<span aria-hidden="true">••••••••••••</span><span class="sr-only">${window.i18n.t('tap.display.masked')}</span>`);
+
+        const revealBtn = document.getElementById('revealTAPBtn');
+        if (revealBtn) {
+            revealBtn.setAttribute('aria-pressed', String(this.tapRevealed));
+            window.htmlRenderer.render(revealBtn, html`
+                <i class="fas ${this.tapRevealed ? 'fa-eye-slash' : 'fa-eye'} mr-2" aria-hidden="true"></i>${window.i18n.t(this.tapRevealed ? 'tap.display.conceal' : 'tap.display.reveal')}
+            `);
+        }
+
+        // El QR contiene el TAP: se oculta junto con el código
+        const qrContainer = document.getElementById('tapQrCode');
+        const qrCaption = document.getElementById('tapQrCaption');
+        if (qrContainer) {
+            window.htmlRenderer.render(qrContainer, this.tapRevealed
+                ? this.renderQRCode(tapData)
+                : html`<i class="fas fa-qrcode text-5xl text-gray-300" aria-hidden="true"></i><span class="sr-only">${window.i18n.t('tap.qr.masked')}</span>`);
+        }
+        if (qrCaption) {
+            qrCaption.textContent = window.i18n.t('tap.qr.caption', { url: this.getSignInUrl() });
+        }
+    }
+
+    renderQRCode(tapData) {
+        try {
+            return window.qrCode.toSvg(
+                `${this.getSignInUrl()}\nTAP: ${tapData.temporaryAccessPass}`,
+                window.i18n.t('tap.qr.label', { user: this.getTAPUser(tapData) })
+            );
+        } catch (error) {
+            console.error('Error generando código QR:', error);
+            return window.htmlRenderer.html`<p class="text-sm text-red-600 p-2 text-center">${window.i18n.t('tap.qr.error')}</p>`;
+        }
+    }
+
+    toggleTAPReveal() {
+        if (!this.currentTAP || !this.currentTAP.temporaryAccessPass) return;
+
+        this.tapRevealed = !this.tapRevealed;
+        this.renderTAPSecret(this.currentTAP);
+    }
+
+    printTAPSlip() {
+        if (!this.currentTAP || !this.currentTAP.temporaryAccessPass) {
+            this.showTAPError(window.i18n.t('tap.slip.nothingToPrint'));
+            return;
+        }
+
+        this.renderPrintSlip(this.currentTAP);
+        window.print();
+    }
+
+    renderPrintSlip(tapData) {
+        const slip = document.getElementById('tapPrintSlip');
+        if (!slip) return;
+
+        // La hoja impresa sí incluye el código: es lo que se entrega al usuario
+        const { html } = window.htmlRenderer;
+        const signInUrl = this.getSignInUrl();
+        const user = this.getTAPUser(tapData);
+        const expires = window.i18n.formatDateTime(tapData.expiresDateTime);
+        const field = (label, value) => html`
+            <div class="mb-3">
+                <dt class="text-sm text-gray-600">${label}</dt>
+                <dd class="text-lg font-semibold">${value}</dd>
+            </div>
+        `;
+
+        window.htmlRenderer.render(slip, html`
+            <div class="max-w-2xl mx-auto p-8">
+                <h1 class="text-2xl font-bold mb-1">${window.i18n.t('tap.slip.title')}</h1>
+                <p class="text-gray-600 mb-6">${window.i18n.t('tap.slip.subtitle')}</p>
+
+                <div class="flex items-start justify-between mb-6">
+                    <dl>
+                        ${field(window.i18n.t('tap.slip.user'), user)}
+                        <div class="mb-3">
+                            <dt class="text-sm text-gray-600">${window.i18n.t('tap.slip.pass')}</dt>
+                            <dd class="tap-code">${tapData.temporaryAccessPass}</dd>
+                        </div>
+                        ${field(window.i18n.t('tap.slip.activation'), window.i18n.formatDateTime(tapData.startDateTime || tapData.createdDateTime))}
+                        ${field(window.i18n.t('tap.slip.expiry'), expires)}
+                        ${tapData.isUsableOnce && field(window.i18n.t('tap.slip.usage'), window.i18n.t('tap.slip.usableOnce'))}
+                    </dl>
+                    <div class="w-48 h-48 ml-6 flex-shrink-0">${this.renderQRCode(tapData)}</div>
+                </div>
+
+                <h2 class="text-lg font-semibold mb-2">${window.i18n.t('tap.slip.instructionsTitle')}</h2>
+                <ol class="list-decimal ml-6 space-y-1 mb-6">
+                    <li>${window.i18n.t('tap.slip.instructions.open', { url: signInUrl })}</li>
+                    <li>${window.i18n.t('tap.slip.instructions.signIn', { user })}</li>
+                    <li>${window.i18n.t('tap.slip.instructions.enterPass')}</li>
+                    <li>${window.i18n.t('tap.slip.instructions.setup', { date: expires })}</li>
+                </ol>
+
+                <p class="text-sm text-gray-600 border-t pt-4">${window.i18n.t('tap.slip.confidential')}</p>
+            </div>
+        `);
+    }
+
+    clearPrintSlip() {
+        window.htmlRenderer.clear(document.getElementById('tapPrintSlip'));
+    }
+
     hideTAPDisplay() {
         const tapContainer = document.getElementById('tapDisplayContainer');
         const tapCodeElement = document.getElementById('tapCode');
@@ -257,47 +904,49 @@ class TAPManager {
             tapContainer.classList.add('hidden');
         }
         
+        // El código no permanece en la página una vez oculto
         if (tapCodeElement) {
             tapCodeElement.classList.add('hidden');
+            window.htmlRenderer.clear(tapCodeElement);
         }
+        window.htmlRenderer.clear(document.getElementById('tapQrCode'));
+        this.clearPrintSlip();
+        this.tapRevealed = false;
         
         if (copyBtn) {
             copyBtn.classList.add('hidden');
         }
 
         // Limpiar countdown
-        if (this.currentCountdownInterval) {
-            clearInterval(this.currentCountdownInterval);
-            this.currentCountdownInterval = null;
-        }
+        this.pauseCountdown();
 
         this.currentTAP = null;
     }
 
     copyTAPToClipboard() {
         if (!this.currentTAP || !this.currentTAP.temporaryAccessPass) {
-            this.showTAPError('No hay TAP para copiar');
+            this.showTAPError(window.i18n.t('tap.nothingToCopy'));
             return;
         }
 
         navigator.clipboard.writeText(this.currentTAP.temporaryAccessPass).then(() => {
-            this.showTAPSuccess('TAP copiado al portapapeles');
+            this.showTAPSuccess(window.i18n.t('tap.copied'));
             
             // Efecto visual de copiado
             const copyBtn = document.getElementById('copyTAPBtn');
             if (copyBtn) {
-                const originalText = copyBtn.innerHTML;
-                copyBtn.innerHTML = '<i class="fas fa-check"></i> ¡Copiado!';
+                const originalContent = [...copyBtn.childNodes];
+                window.htmlRenderer.render(copyBtn, window.htmlRenderer.html`<i class="fas fa-check"></i> ${window.i18n.t('tap.copiedButton')}`);
                 copyBtn.classList.add('bg-green-600');
                 
                 setTimeout(() => {
-                    copyBtn.innerHTML = originalText;
+                    copyBtn.replaceChildren(...originalContent);
                     copyBtn.classList.remove('bg-green-600');
                 }, 2000);
             }
         }).catch(error => {
             console.error('Error copiando TAP:', error);
-            this.showTAPError('Error al copiar TAP');
+            this.showTAPError(window.i18n.t('tap.copyError'));
         });
     }
 
@@ -306,73 +955,87 @@ class TAPManager {
         if (!tapListContainer) return;
 
         if (this.tapHistory.length === 0) {
-            tapListContainer.innerHTML = '<p class="text-gray-500 text-center py-4">No hay TAPs generados</p>';
+            window.htmlRenderer.render(tapListContainer, window.htmlRenderer.html`<p class="text-gray-500 text-center py-4">${window.i18n.t('tap.history.empty')}</p>`);
             return;
         }
 
+        const { html } = window.htmlRenderer;
         const tapListHTML = this.tapHistory.map(tap => {
-            const createdDate = new Date(tap.createdDateTime).toLocaleString();
-            const expiresDate = new Date(tap.expiresDateTime).toLocaleString();
+            const createdDate = window.i18n.formatDateTime(tap.createdDateTime);
+            const expiresDate = window.i18n.formatDateTime(tap.expiresDateTime);
             const isExpired = new Date(tap.expiresDateTime) < new Date();
+            const isPending = this.isPendingActivation(tap);
+            const isInactive = isExpired || tap.removedOnServer || tap.methodUsabilityReason === 'OneTimeUsed';
+
+            let statusClass = 'text-green-600';
+            let status = 'active';
+            if (tap.removedOnServer) {
+                statusClass = 'text-gray-600';
+                status = 'removedOnServer';
+            } else if (isExpired) {
+                statusClass = 'text-red-600';
+                status = 'expired';
+            } else if (tap.methodUsabilityReason === 'OneTimeUsed') {
+                statusClass = 'text-gray-600';
+                status = 'used';
+            } else if (isPending) {
+                statusClass = 'text-blue-600';
+                status = 'pending';
+            }
+            const statusText = window.i18n.t(`tap.status.${status}`);
+            const deleteLabel = window.i18n.t(tap.removedOnServer ? 'tap.history.removeEntry' : 'tap.history.delete');
 
-            return `
-                <div class="bg-white rounded-lg border p-4 mb-3 ${isExpired ? 'opacity-60' : ''}">
+            return html`
+                <div class="bg-white rounded-lg border p-4 mb-3 ${isInactive && 'opacity-60'}">
                     <div class="flex justify-between items-start">
                         <div class="flex-1">
                             <div class="flex items-center mb-2">
-                                <span class="text-sm font-medium ${isExpired ? 'text-red-600' : 'text-green-600'}">
-                                    ${isExpired ? 'EXPIRADO' : 'ACTIVO'}
+                                <span class="text-sm font-medium ${statusClass}">
+                                    ${statusText}
                                 </span>
-                                ${tap.isUsableOnce ? '<span class="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">Uso Único</span>' : ''}
+                                ${tap.isUsableOnce && html`<span class="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">${window.i18n.t('tap.history.usableOnce')}</span>`}
+                                ${tap.serverOnly && html`<span class="ml-2 text-xs bg-gray-100 text-gray-800 px-2 py-1 rounded">${window.i18n.t('tap.history.serverOnly')}</span>`}
                             </div>
-                            <p class="text-sm text-gray-600">Creado: ${createdDate}</p>
-                            <p class="text-sm text-gray-600">Expira: ${expiresDate}</p>
-                            <p class="text-sm text-gray-600">Duración: ${tap.lifetimeInMinutes} minutos</p>
+                            ${tap.targetUser && html`<p class="text-sm text-gray-600">${window.i18n.t('tap.history.user', { user: tap.targetUser })}</p>`}
+                            <p class="text-sm text-gray-600">${window.i18n.t('tap.history.created', { date: createdDate })}</p>
+                            ${isPending && html`<p class="text-sm text-blue-600">${window.i18n.t('tap.history.startsIn', {
+                                date: window.i18n.formatDateTime(tap.startDateTime),
+                                duration: window.i18n.formatDuration(new Date(tap.startDateTime).getTime() - Date.now())
+                            })}</p>`}
+                            <p class="text-sm text-gray-600">${window.i18n.t('tap.expires', { date: expiresDate })}</p>
+                            <p class="text-sm text-gray-600">${window.i18n.t('tap.history.lifetime', { lifetime: window.i18n.formatLifetime(tap.lifetimeInMinutes) })}</p>
                         </div>
                         <button 
-                            onclick="tapManager.deleteTAP('${tap.id}')" 
-                            class="text-red-600 hover:text-red-800 ml-4"
-                            title="Eliminar TAP">
-                            <i class="fas fa-trash"></i>
+                            type="button"
+                            data-action="deleteHistoryTAP"
+                            data-tap-id="${tap.id}"
+                            class="text-red-600 hover:text-red-800 ml-4 p-1 rounded focus:outline-none focus:ring-2 focus:ring-red-500"
+                            title="${deleteLabel}"
+                            aria-label="${window.i18n.t('tap.history.deleteLabel', { action: deleteLabel, date: createdDate })}">
+                            <i class="fas fa-trash" aria-hidden="true"></i>
                         </button>
                     </div>
                 </div>
             `;
-        }).join('');
+        });
 
-        tapListContainer.innerHTML = tapListHTML;
+        window.htmlRenderer.render(tapListContainer, html`${tapListHTML}`);
     }
 
-    showTAPError(message) {
-        const errorContainer = document.getElementById('tapErrorContainer');
-        if (errorContainer) {
-            errorContainer.innerHTML = `
-                <div class="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
-                    <strong>Error:</strong> ${message}
-                </div>
-            `;
-            
-            // Auto-ocultar después de 5 segundos
-            setTimeout(() => {
-                errorContainer.innerHTML = '';
-            }, 5000);
-        }
+    showSyncError(error = null) {
+        // Sin consentimiento para leer los métodos, el aviso ofrece concederlo en lugar de reintentar
+        this.showTAPError(error instanceof ConsentRequiredError ? error.message : window.i18n.t('tap.syncError'), {
+            key: 'tapSyncError',
+            actions: window.authManager.getErrorActions(error, () => this.syncHistory())
+        });
     }
 
-    showTAPSuccess(message) {
-        const successContainer = document.getElementById('tapSuccessContainer');
-        if (successContainer) {
-            successContainer.innerHTML = `
-                <div class="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
-                    <strong>Éxito:</strong> ${message}
-                </div>
-            `;
-            
-            // Auto-ocultar después de 3 segundos
-            setTimeout(() => {
-                successContainer.innerHTML = '';
-            }, 3000);
-        }
+    showTAPError(message, options = {}) {
+        window.notifications.error(message, options);
+    }
+
+    showTAPSuccess(message, options = {}) {
+        window.notifications.success(message, options);
     }
 }
 
@@ -381,6 +1044,9 @@ window.tapManager = new TAPManager();
 
 // Manejadores de eventos para el formulario TAP
 document.addEventListener('DOMContentLoaded', function() {
+    // index.html también carga este módulo: la carga y sincronización del historial es solo de la página TAP
+    if (!document.getElementById('tapHistoryList')) return;
+
     const generateTAPBtn = document.getElementById('generateTAPBtn');
     const copyTAPBtn = document.getElementById('copyTAPBtn');
     const refreshHistoryBtn = document.getElementById('refreshHistoryBtn');
@@ -391,45 +1057,85 @@ document.addEventListener('DOMContentLoaded', function() {
             e.preventDefault();
             
             if (!window.authManager || !window.authManager.isAuthenticated) {
-                tapManager.showTAPError('Debe iniciar sesión primero');
+                tapManager.showTAPError(window.i18n.t('tap.signInFirst'));
                 return;
             }
 
             const formData = new FormData(tapForm);
             const config = {
                 lifetimeInMinutes: parseInt(formData.get('lifetime')) || 60,
-                isUsableOnce: formData.get('usableOnce') === 'on'
+                isUsableOnce: formData.get('usableOnce') === 'on',
+                startDateTime: tapManager.getStartDateTime(formData, 'startDateTime', 'startTimeZone')
             };
 
             try {
                 generateTAPBtn.disabled = true;
-                generateTAPBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Generando...';
+                window.htmlRenderer.render(generateTAPBtn, window.htmlRenderer.html`<i class="fas fa-spinner fa-spin"></i> ${window.i18n.t('tap.generating')}`);
                 
                 await tapManager.generateTAP(config);
                 
-                generateTAPBtn.innerHTML = '<i class="fas fa-key"></i> Generar Nuevo TAP';
+                window.htmlRenderer.render(generateTAPBtn, window.htmlRenderer.html`<i class="fas fa-key"></i> ${window.i18n.t('tap.generateAnother')}`);
                 generateTAPBtn.disabled = false;
             } catch (error) {
-                generateTAPBtn.innerHTML = '<i class="fas fa-key"></i> Generar TAP';
+                window.htmlRenderer.render(generateTAPBtn, window.htmlRenderer.html`<i class="fas fa-key"></i> ${window.i18n.t('tap.generate')}`);
                 generateTAPBtn.disabled = false;
             }
         });
     }
 
+    window.htmlRenderer.registerActions({
+        hideTAP: () => tapManager.hideTAPDisplay(),
+        toggleTAPReveal: () => tapManager.toggleTAPReveal(),
+        printTAPSlip: () => tapManager.printTAPSlip(),
+        deleteHistoryTAP: element => tapManager.deleteHistoryEntry(element)
+    });
+
     if (copyTAPBtn) {
         copyTAPBtn.addEventListener('click', () => {
             tapManager.copyTAPToClipboard();
         });
     }
 
+    // La hoja impresa no se conserva en la página después de imprimir
+    window.addEventListener('afterprint', () => {
+        tapManager.clearPrintSlip();
+    });
+
+    // Zonas horarias para la activación programada
+    tapManager.populateTimeZoneSelects();
+    tapManager.labelLifetimeOptions();
+
     if (refreshHistoryBtn) {
         refreshHistoryBtn.addEventListener('click', () => {
+            tapManager.syncHistory();
+        });
+    }
+
+    // Cargar historial de la cuenta activa y reconciliarlo con el servidor
+    if (window.authManager) {
+        window.authManager.ready.then(() => {
+            tapManager.loadHistory();
             tapManager.refreshTAPList();
+            if (window.authManager.isAuthenticated) {
+                tapManager.loadPolicy();
+                tapManager.syncHistory();
+            }
         });
     }
 
-    // Cargar historial al iniciar
-    setTimeout(() => {
-        tapManager.refreshTAPList();
-    }, 1000);
+    window.addEventListener('auth:accountchanged', () => {
+        tapManager.handleAccountChanged();
+    });
+
+    window.addEventListener('auth:sessionlost', () => {
+        tapManager.handleSessionLost();
+    });
+
+    window.addEventListener('auth:signedin', () => {
+        tapManager.handleSignedIn();
+    });
+
+    window.addEventListener('i18n:localechanged', () => {
+        tapManager.handleLocaleChanged();
+    });
 });
\ No newline at end of file
@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./support/browser');
+
+// La configuración nunca llega: solo se prueban los métodos de validación
+function setup(url = 'https://portal.contoso.com/index.html') {
+    const browser = createBrowser({
+        url,
+        globals: { fetch: () => new Promise(() => {}) }
+    });
+    browser.load('i18n.js', 'locales/es.js', 'render.js', 'graph.js', 'auth.js');
+    return { authManager: browser.window.authManager, window: browser.window };
+}
+
+test('isAllowedByCsp admite comodines de subdominio', () => {
+    const { authManager } = setup();
+    const sources = ['https://*.microsoftonline.com'];
+
+    assert.equal(authManager.isAllowedByCsp(sources, 'https://login.microsoftonline.com'), true);
+    assert.equal(authManager.isAllowedByCsp(sources, 'https://a.b.microsoftonline.com'), true);
+    // El comodín no incluye el propio dominio ni otro esquema
+    assert.equal(authManager.isAllowedByCsp(sources, 'https://microsoftonline.com'), false);
+    assert.equal(authManager.isAllowedByCsp(sources, 'https://login.microsoftonline.com.evil.net'), false);
+    assert.equal(authManager.isAllowedByCsp(['http://*.microsoftonline.com'], 'https://login.microsoftonline.com'), true);
+    assert.equal(authManager.isAllowedByCsp(['*.microsoftonline.com'], 'https://login.microsoftonline.com'), true);
+});
+
+test('isAllowedByCsp admite fuentes de esquema', () => {
+    const { authManager } = setup();
+
+    assert.equal(authManager.isAllowedByCsp(['https:'], 'https://graph.microsoft.com'), true);
+    assert.equal(authManager.isAllowedByCsp(['HTTPS:'], 'https://graph.microsoft.com'), true);
+    assert.equal(authManager.isAllowedByCsp(['http:'], 'https://graph.microsoft.com'), true);
+    assert.equal(authManager.isAllowedByCsp(['https:'], 'http://localhost:3000'), false);
+    assert.equal(authManager.isAllowedByCsp(['data:', 'blob:'], 'https://graph.microsoft.com'), false);
+});
+
+test('isAllowedByCsp compara host, puerto y self', () => {
+    const { authManager } = setup();
+
+    assert.equal(authManager.isAllowedByCsp(['https://graph.microsoft.com/v1.0/'], 'https://graph.microsoft.com'), true);
+    assert.equal(authManager.isAllowedByCsp(['https://graph.microsoft.com:443'], 'https://graph.microsoft.com'), true);
+    assert.equal(authManager.isAllowedByCsp(['https://graph.microsoft.com:8443'], 'https://graph.microsoft.com'), false);
+    assert.equal(authManager.isAllowedByCsp(['http://localhost:*'], 'http://localhost:3000'), true);
+    assert.equal(authManager.isAllowedByCsp(["'self'"], 'https://portal.contoso.com'), true);
+    assert.equal(authManager.isAllowedByCsp(["'self'", "'none'"], 'https://graph.microsoft.com'), false);
+    assert.equal(authManager.isAllowedByCsp(undefined, 'https://graph.microsoft.com'), true);
+});
+
+test('getAccountStorageKey descarta los datos guardados sin cuenta', () => {
+    const { authManager, window } = setup();
+    const { localStorage } = window;
+    authManager.currentUser = { homeAccountId: 'cuenta-b' };
+    localStorage.setItem('tapHistory', '[{"id":"tap-de-otra-cuenta"}]');
+
+    assert.equal(authManager.getAccountStorageKey('tapHistory'), 'tapHistory:cuenta-b');
+    assert.equal(localStorage.getItem('tapHistory'), null);
+    assert.equal(localStorage.getItem('tapHistory:cuenta-b'), null);
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./support/browser');
+
+const CLAIMS = '{"access_token":{"acrs":{"essential":true,"value":"c1"}}}';
+const encode = value => Buffer.from(value).toString('base64');
+
+// Los objetos creados dentro del contexto del navegador tienen otro prototipo
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function challengeHeader(claims = encode(CLAIMS)) {
+    return `Bearer realm="", authorization_uri="https://login.microsoftonline.com/common/oauth2/authorize", ` +
+        `error="insufficient_claims", claims="${claims}"`;
+}
+
+function challengeResponse() {
+    return new Response(JSON.stringify({ error: { code: 'InvalidAuthenticationToken', message: 'Claims requeridos' } }), {
+        status: 401,
+        headers: { 'WWW-Authenticate': challengeHeader() }
+    });
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), { status, headers });
+}
+
+// Cliente de Graph con un fetch falso que devuelve las respuestas en orden; las esperas se registran sin esperar
+function setup(responses = []) {
+    const requests = [];
+    const tokenRequests = [];
+    const delays = [];
+    const browser = createBrowser({
+        globals: {
+            console: { ...console, error() {}, warn() {} },
+            setTimeout: (callback, delay) => {
+                delays.push(delay);
+                callback();
+            },
+            fetch: async (url, init) => {
+                requests.push({ url, init });
+                return responses.shift();
+            }
+        }
+    });
+    browser.load('i18n.js', 'locales/es.js', 'graph.js');
+
+    const authManager = {
+        getAccessToken: async (scopes, options) => {
+            tokenRequests.push({ scopes, ...options });
+            return `token-${tokenRequests.length}`;
+        }
+    };
+    const GraphClient = browser.evaluate('GraphClient');
+
+    return { browser, requests, tokenRequests, delays, client: new GraphClient(authManager, 'https://graph.microsoft.com/') };
+}
+
+test('parseClaimsChallenge devuelve los claims decodificados del desafío', () => {
+    const { browser } = setup();
+    const GraphClient = browser.evaluate('GraphClient');
+
+    assert.equal(GraphClient.parseClaimsChallenge(challengeHeader()), CLAIMS);
+});
+
+test('parseClaimsChallenge ignora las cabeceras sin insufficient_claims', () => {
+    const { browser } = setup();
+    const GraphClient = browser.evaluate('GraphClient');
+
+    assert.equal(GraphClient.parseClaimsChallenge(`Bearer error="invalid_token", claims="${encode(CLAIMS)}"`), null);
+    assert.equal(GraphClient.parseClaimsChallenge(null), null);
+});
+
+test('parseClaimsChallenge devuelve null si los claims no son base64 válido', () => {
+    const { browser } = setup();
+    const GraphClient = browser.evaluate('GraphClient');
+
+    assert.equal(GraphClient.parseClaimsChallenge(challengeHeader('%%%no-base64%%%')), null);
+});
+
+test('request repite la llamada una vez con un token que cumple el desafío de claims', async () => {
+    const { client, requests, tokenRequests } = setup([
+        challengeResponse(),
+        new Response(JSON.stringify({ id: 'method-1' }), { status: 201 })
+    ]);
+
+    const result = await client.post('me/authentication/fido2Methods', { displayName: 'Llave' }, { scopes: 'manageOwnMethods' });
+
+    assert.equal(result.id, 'method-1');
+    assert.equal(tokenRequests.length, 2);
+    assert.equal(tokenRequests[0].claims, null);
+    assert.equal(tokenRequests[1].claims, CLAIMS);
+    assert.equal(tokenRequests[1].scopes, 'manageOwnMethods');
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].url, 'https://graph.microsoft.com/v1.0/me/authentication/fido2Methods');
+    assert.equal(requests[1].init.method, 'POST');
+    assert.equal(requests[1].init.headers.Authorization, 'Bearer token-2');
+    assert.equal(requests[1].init.body, JSON.stringify({ displayName: 'Llave' }));
+    // El mismo identificador de solicitud en el reintento para rastrearlo en soporte
+    assert.equal(requests[1].init.headers['client-request-id'], requests[0].init.headers['client-request-id']);
+});
+
+test('un segundo desafío de claims lanza GraphClaimsChallengeError', async () => {
+    const { client, requests } = setup([challengeResponse(), challengeResponse()]);
+
+    await assert.rejects(client.get('me/authentication/methods'), error => {
+        assert.equal(error.name, 'GraphClaimsChallengeError');
+        assert.equal(error.status, 401);
+        assert.equal(error.claims, CLAIMS);
+        assert.equal(error.requestId, requests[0].init.headers['client-request-id']);
+        return true;
+    });
+    assert.equal(requests.length, 2);
+});
+
+test('un 429 se reintenta tras el tiempo indicado en Retry-After', async () => {
+    const { client, requests, delays } = setup([
+        jsonResponse({ error: { code: 'TooManyRequests', message: 'Demasiadas solicitudes' } }, 429, { 'Retry-After': '2' }),
+        jsonResponse({ id: 'tap-1' }, 201)
+    ]);
+
+    const result = await client.post('me/authentication/temporaryAccessPassMethods', { lifetimeInMinutes: 60 });
+
+    assert.equal(result.id, 'tap-1');
+    assert.equal(requests.length, 2);
+    assert.deepEqual(delays, [2000]);
+});
+
+test('agotados los reintentos se lanza GraphThrottledError', async () => {
+    const throttled = () => jsonResponse({ error: { code: 'serviceNotAvailable', message: 'No disponible' } }, 503);
+    const { client, requests, delays } = setup([throttled(), throttled(), throttled(), throttled()]);
+
+    await assert.rejects(client.get('me/authentication/methods'), error => {
+        assert.equal(error.name, 'GraphThrottledError');
+        assert.equal(error.status, 503);
+        return true;
+    });
+    assert.equal(requests.length, client.maxRetries + 1);
+    // Sin Retry-After la espera crece de forma exponencial
+    assert.deepEqual(delays, [1000, 2000, 4000]);
+});
+
+test('un 503 en un POST no se reintenta', async () => {
+    const { client, requests } = setup([
+        jsonResponse({ error: { code: 'serviceNotAvailable', message: 'No disponible' } }, 503)
+    ]);
+
+    await assert.rejects(client.post('me/authentication/temporaryAccessPassMethods', {}), { name: 'GraphThrottledError' });
+    assert.equal(requests.length, 1);
+});
+
+test('getAll sigue @odata.nextLink hasta la última página', async () => {
+    const nextLink = 'https://graph.microsoft.com/v1.0/users?$skiptoken=abc';
+    const { client, requests } = setup([
+        jsonResponse({ value: [{ id: 'u1' }, { id: 'u2' }], '@odata.nextLink': nextLink }),
+        jsonResponse({ value: [{ id: 'u3' }] })
+    ]);
+
+    const result = await client.getAll('users', { scopes: 'readUsers' });
+
+    assert.deepEqual(plain(result.value.map(item => item.id)), ['u1', 'u2', 'u3']);
+    assert.deepEqual(requests.map(request => request.url), ['https://graph.microsoft.com/v1.0/users', nextLink]);
+});
+
+test('createError clasifica por estado y por código de error', () => {
+    const { client } = setup();
+    const typeOf = (status, error = {}) => client.createError({ status, statusText: 'Error' }, error, 'req-1', 0).name;
+
+    assert.equal(typeOf(401), 'GraphAuthError');
+    assert.equal(typeOf(429), 'GraphThrottledError');
+    assert.equal(typeOf(504), 'GraphThrottledError');
+    assert.equal(typeOf(404), 'GraphNotFoundError');
+    assert.equal(typeOf(403, { code: 'accessDenied', message: 'Insufficient privileges' }), 'GraphPermissionError');
+    assert.equal(typeOf(500), 'GraphError');
+
+    // La política se reconoce por el código, también en innerError, nunca por el texto del mensaje
+    assert.equal(typeOf(403, { code: 'accessDenied', innerError: { code: 'authenticationMethodPolicyDisabled' } }), 'GraphPolicyError');
+    assert.equal(typeOf(400, { code: 'PolicyViolation', message: 'Bad request' }), 'GraphPolicyError');
+    assert.equal(typeOf(403, { code: 'accessDenied', message: 'Blocked by policy' }), 'GraphPermissionError');
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./support/browser');
+
+const FIDO2 = { id: 'fido-1', '@odata.type': '#microsoft.graph.fido2AuthenticationMethod' };
+const AUTHENTICATOR = { id: 'auth-1', '@odata.type': '#microsoft.graph.microsoftAuthenticatorAuthenticationMethod' };
+const PASSWORD = { id: 'pwd-1', '@odata.type': '#microsoft.graph.passwordAuthenticationMethod' };
+const PHONE = { id: 'phone-1', '@odata.type': '#microsoft.graph.phoneAuthenticationMethod', phoneType: 'mobile' };
+const EMAIL = { id: 'email-1', '@odata.type': '#microsoft.graph.emailAuthenticationMethod' };
+const PLATFORM_CREDENTIAL = { id: 'platform-1', '@odata.type': '#microsoft.graph.platformCredentialAuthenticationMethod' };
+
+function setup(methods, phoneSignInDevices, globals = {}) {
+    const browser = createBrowser({ url: 'https://portal.contoso.com/methods.html', globals });
+    browser.load('i18n.js', 'locales/es.js', 'method-types.js', 'methods.js');
+
+    const manager = browser.window.methodsManager;
+    manager.methods = methods;
+    manager.phoneSignInDevices = phoneSignInDevices;
+    return manager;
+}
+
+test('la passkey no se puede eliminar si Authenticator no tiene el inicio de sesión con el teléfono', () => {
+    const manager = setup([PASSWORD, FIDO2, AUTHENTICATOR], []);
+
+    assert.equal(manager.isLastPasswordlessMethod(FIDO2), true);
+    assert.equal(manager.isLastPasswordlessMethod(AUTHENTICATOR), false);
+});
+
+test('la passkey se puede eliminar si Authenticator tiene el inicio de sesión con el teléfono', () => {
+    const manager = setup([PASSWORD, FIDO2, AUTHENTICATOR], [{ id: 'device-1' }]);
+
+    assert.equal(manager.isLastPasswordlessMethod(FIDO2), false);
+    assert.equal(manager.isLastPasswordlessMethod(AUTHENTICATOR), false);
+});
+
+test('sin datos del inicio de sesión con el teléfono Authenticator cuenta por su tipo', () => {
+    const manager = setup([PASSWORD, FIDO2, AUTHENTICATOR], null);
+
+    assert.equal(manager.isLastPasswordlessMethod(FIDO2), false);
+});
+
+test('Authenticator como único método seguro no se puede eliminar aunque no sea sin contraseña', () => {
+    const manager = setup([PASSWORD, EMAIL, AUTHENTICATOR], []);
+    const errors = [];
+    manager.showError = message => errors.push(message);
+
+    assert.equal(manager.isLastPasswordlessMethod(AUTHENTICATOR), false);
+    assert.equal(manager.isLastStrongMethod(AUTHENTICATOR), true);
+
+    manager.requestRemoval(AUTHENTICATOR.id);
+    assert.equal(errors.length, 1);
+    assert.equal(manager.pendingAction, null);
+});
+
+test('el teléfono como único método seguro no se puede eliminar', () => {
+    const manager = setup([PASSWORD, EMAIL, PHONE], null);
+    const errors = [];
+    manager.showError = message => errors.push(message);
+
+    assert.equal(manager.isLastStrongMethod(PHONE), true);
+    assert.equal(manager.isLastStrongMethod(EMAIL), false);
+
+    manager.requestRemoval(PHONE.id);
+    assert.equal(errors.length, 1);
+});
+
+test('el teléfono se puede eliminar si queda otro método seguro', () => {
+    const manager = setup([PASSWORD, PHONE, AUTHENTICATOR], []);
+
+    assert.equal(manager.isLastStrongMethod(PHONE), false);
+    assert.equal(manager.isLastStrongMethod(AUTHENTICATOR), false);
+});
+
+test('la credencial de plataforma solo existe en beta y se elimina con ese endpoint', async () => {
+    const deletions = [];
+    const authManager = {
+        graph: { delete: async (path, options) => deletions.push({ path, version: options.version }) }
+    };
+    const manager = setup([PASSWORD, FIDO2, PLATFORM_CREDENTIAL], null, { authManager });
+    manager.loadMethods = async () => {};
+    manager.showSuccess = () => {};
+
+    manager.requestRemoval(PLATFORM_CREDENTIAL.id);
+    await manager.confirmRemoval();
+
+    assert.deepEqual(deletions, [
+        { path: 'me/authentication/platformCredentialMethods/platform-1', version: 'beta' }
+    ]);
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./support/browser');
+
+// Sin DOMContentLoaded los avisos quedan en cola y no se pintan
+function setup() {
+    const browser = createBrowser();
+    browser.load('render.js', 'notifications.js');
+    return browser.window.notifications;
+}
+
+test('un error con acciones no se oculta solo', () => {
+    const notifications = setup();
+
+    const id = notifications.error('Sin conexión', { actions: [{ label: 'Reintentar', run() {} }] });
+    const notification = notifications.find(id);
+
+    assert.equal(notification.persistent, true);
+    notifications.scheduleDismiss(notification);
+    assert.equal(notification.timer, undefined);
+});
+
+test('un error sin acciones se oculta tras la duración de su gravedad', () => {
+    const notifications = setup();
+
+    const notification = notifications.find(notifications.error('Error'));
+
+    assert.equal(notification.persistent, false);
+    assert.equal(notification.duration, 8000);
+});
+
+test('persistent explícito prevalece sobre el valor por defecto', () => {
+    const notifications = setup();
+
+    const transient = notifications.find(notifications.info('Aviso', {
+        persistent: false,
+        actions: [{ label: 'Ver', run() {} }]
+    }));
+    const persistent = notifications.find(notifications.info('Aviso', { persistent: true }));
+
+    assert.equal(transient.persistent, false);
+    assert.equal(persistent.persistent, true);
+});
+
+// Historial con dos botones y un documento que registra el elemento enfocado
+function setupHistory() {
+    const browser = createBrowser();
+    browser.load('render.js', 'notifications.js');
+    const { document, notifications } = browser.window;
+
+    const focusable = () => {
+        const element = { focus() { document.activeElement = element; } };
+        return element;
+    };
+    const close = focusable();
+    const clear = focusable();
+    notifications.drawer = {
+        classList: { contains: () => false, add() {}, remove() {} },
+        querySelector: () => close,
+        querySelectorAll: () => [close, clear],
+        contains: element => element === close || element === clear
+    };
+    notifications.renderHistory = () => {};
+
+    return { document, notifications, close, clear, focusable };
+}
+
+function tab(shiftKey = false) {
+    return { shiftKey, prevented: false, preventDefault() { this.prevented = true; } };
+}
+
+test('Tab no sale del historial de avisos', () => {
+    const { document, notifications, close, clear, focusable } = setupHistory();
+
+    clear.focus();
+    const forward = tab();
+    notifications.trapHistoryFocus(forward);
+    assert.equal(forward.prevented, true);
+    assert.equal(document.activeElement, close);
+
+    const backward = tab(true);
+    notifications.trapHistoryFocus(backward);
+    assert.equal(backward.prevented, true);
+    assert.equal(document.activeElement, clear);
+
+    // Entre controles del historial el navegador mueve el foco por sí solo
+    close.focus();
+    const inside = tab();
+    notifications.trapHistoryFocus(inside);
+    assert.equal(inside.prevented, false);
+
+    // Con el foco fuera del historial, Tab lo devuelve al primer control
+    focusable().focus();
+    notifications.trapHistoryFocus(tab());
+    assert.equal(document.activeElement, close);
+});
+
+test('al cerrar el historial el foco vuelve al botón que lo abrió', () => {
+    const { document, notifications, close, focusable } = setupHistory();
+    const trigger = focusable();
+
+    trigger.focus();
+    notifications.openHistory();
+    assert.equal(document.activeElement, close);
+
+    notifications.closeHistory();
+    assert.equal(document.activeElement, trigger);
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./support/browser');
+
+const PASSWORD = { id: 'pwd-1', '@odata.type': '#microsoft.graph.passwordAuthenticationMethod' };
+const FIDO2 = { id: 'fido-1', '@odata.type': '#microsoft.graph.fido2AuthenticationMethod' };
+const AUTHENTICATOR = { id: 'auth-1', '@odata.type': '#microsoft.graph.microsoftAuthenticatorAuthenticationMethod' };
+const SMS = { id: 'phone-1', '@odata.type': '#microsoft.graph.phoneAuthenticationMethod', phoneType: 'mobile' };
+const TAP = { id: 'tap-1', '@odata.type': '#microsoft.graph.temporaryAccessPassAuthenticationMethod' };
+
+// Los objetos creados dentro del contexto del navegador tienen otro prototipo
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function evaluate(methods, phoneSignInDevices = null) {
+    const browser = createBrowser();
+    browser.load('i18n.js', 'locales/es.js', 'render.js', 'method-types.js', 'readiness.js');
+
+    const result = browser.window.readinessEvaluator.evaluate(methods, phoneSignInDevices);
+    return plain({
+        score: result.score,
+        level: result.level.label,
+        passed: result.passed,
+        recommendations: result.recommendations.map(item => item.id)
+    });
+}
+
+test('una sola passkey solo echa en falta un método de respaldo', () => {
+    assert.deepEqual(evaluate([PASSWORD, FIDO2]), {
+        score: 83,
+        level: 'readiness.levels.excellent',
+        passed: ['hasPasswordless', 'hasPhishingResistant', 'noPhoneMethods', 'noLeftoverTAP'],
+        recommendations: ['hasBackupPasswordless']
+    });
+});
+
+test('un teléfono registrado recomienda eliminarlo', () => {
+    const result = evaluate([PASSWORD, FIDO2, SMS]);
+
+    assert.equal(result.score, 72);
+    assert.equal(result.level, 'readiness.levels.inProgress');
+    assert.deepEqual(result.recommendations, ['hasBackupPasswordless', 'noPhoneMethods']);
+});
+
+test('Authenticator sin inicio de sesión con el teléfono no cuenta como método sin contraseña', () => {
+    assert.deepEqual(evaluate([PASSWORD, AUTHENTICATOR], []), {
+        score: 0,
+        level: 'readiness.levels.initial',
+        passed: [],
+        recommendations: ['hasPasswordless', 'hasPhishingResistant', 'authenticatorPhoneSignIn']
+    });
+});
+
+test('un TAP utilizable que sigue registrado recomienda eliminarlo', () => {
+    const leftover = evaluate([PASSWORD, FIDO2, { ...TAP, isUsable: true }]);
+    assert.equal(leftover.score, 78);
+    assert.deepEqual(leftover.recommendations, ['hasBackupPasswordless', 'noLeftoverTAP']);
+
+    // Un TAP ya caducado o usado no supone riesgo
+    const expired = evaluate([PASSWORD, FIDO2, { ...TAP, isUsable: false }]);
+    assert.deepEqual(expired.recommendations, ['hasBackupPasswordless']);
+});
+
+test('sin métodos solo aplican las reglas básicas', () => {
+    assert.deepEqual(evaluate([]), {
+        score: 0,
+        level: 'readiness.levels.initial',
+        passed: [],
+        recommendations: ['hasPasswordless', 'hasPhishingResistant']
+    });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, createElement } = require('./support/browser');
+
+function setup() {
+    const browser = createBrowser();
+    browser.load('render.js');
+    return { browser, renderer: browser.window.htmlRenderer };
+}
+
+test('escape convierte los caracteres especiales de HTML', () => {
+    const { renderer } = setup();
+
+    assert.equal(renderer.escape(`<a href="x" title='y'>Tom & Jerry</a>`),
+        '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;');
+    assert.equal(renderer.escape(42), '42');
+});
+
+test('html escapa los valores e inserta tal cual el SafeHtml anidado', () => {
+    const { renderer } = setup();
+    const { html } = renderer;
+
+    const inner = html`<strong>${'<b>'}</strong>`;
+    const result = html`<p>${inner} ${'<script>'}</p>`;
+
+    assert.equal(result.toString(), '<p><strong>&lt;b&gt;</strong> &lt;script&gt;</p>');
+});
+
+test('html une las listas y omite null, undefined y false', () => {
+    const { renderer } = setup();
+    const { html } = renderer;
+
+    const items = ['<uno>', html`<em>dos</em>`, null, undefined, false];
+    assert.equal(html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`.markup,
+        '<ul><li>&lt;uno&gt;</li><li><em>dos</em></li><li></li><li></li><li></li></ul>');
+    assert.equal(html`<p>${0}</p>`.markup, '<p>0</p>');
+});
+
+test('html escapa las comillas en los atributos', () => {
+    const { renderer } = setup();
+    const { html } = renderer;
+
+    const value = '" onclick="alert(1)';
+    assert.equal(html`<a title="${value}">x</a>`.markup, '<a title="&quot; onclick=&quot;alert(1)">x</a>');
+});
+
+test('render solo interpreta como HTML un SafeHtml', () => {
+    const { renderer } = setup();
+
+    const safe = createElement();
+    renderer.render(safe, renderer.html`<b>${'hola'}</b>`);
+    assert.equal(safe.innerHTML, '<b>hola</b>');
+
+    const text = createElement();
+    renderer.render(text, '<img src=x onerror=alert(1)>');
+    assert.equal(text.innerHTML, '');
+    assert.equal(text.textContent, '<img src=x onerror=alert(1)>');
+
+    const empty = createElement();
+    renderer.render(empty, null);
+    assert.equal(empty.textContent, '');
+});
@@ -0,0 +1,90 @@
+/**
+ * Entorno de navegador para las pruebas
+ * Ejecuta los scripts clásicos del portal (sin módulos) en un contexto aislado con un DOM mínimo
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+// Elemento falso suficiente para htmlRenderer.render y clear
+function createElement() {
+    return {
+        innerHTML: '',
+        textContent: '',
+        replaceChildren() {
+            this.innerHTML = '';
+            this.textContent = '';
+        }
+    };
+}
+
+function createBrowser({ url = 'https://portal.contoso.com/index.html', globals = {} } = {}) {
+    const events = new EventTarget();
+    const context = {
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        atob,
+        btoa,
+        crypto: globalThis.crypto,
+        TextEncoder,
+        URL,
+        Event,
+        CustomEvent,
+        location: new URL(url),
+        navigator: { language: 'es-ES', languages: ['es-ES'] },
+        localStorage: createStorage(),
+        sessionStorage: createStorage(),
+        document: {
+            readyState: 'complete',
+            documentElement: {},
+            addEventListener() {},
+            removeEventListener() {},
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        addEventListener: events.addEventListener.bind(events),
+        removeEventListener: events.removeEventListener.bind(events),
+        dispatchEvent: events.dispatchEvent.bind(events),
+        ...globals
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    return {
+        window: context,
+
+        // Los scripts comparten el ámbito global, como en la página
+        load(...files) {
+            files.forEach(file => {
+                vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+            });
+            return this;
+        },
+
+        // Clases y constantes de nivel superior (no cuelgan de window)
+        evaluate(expression) {
+            return vm.runInContext(expression, context);
+        }
+    };
+}
+
+module.exports = { createBrowser, createElement };
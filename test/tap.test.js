@@ -0,0 +1,125 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./support/browser');
+
+// Los objetos creados dentro del contexto del navegador tienen otro prototipo
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function setup(globals = {}) {
+    const browser = createBrowser({ url: 'https://portal.contoso.com/tap.html', globals });
+    browser.load('i18n.js', 'locales/es.js', 'render.js', 'graph.js', 'qrcode.js', 'tap.js');
+    return browser.window.tapManager;
+}
+
+// TAP creado el día indicado de enero de 2026
+function tap(day, extra = {}) {
+    const createdDateTime = new Date(Date.UTC(2026, 0, day)).toISOString();
+    return {
+        id: `tap-${day}`,
+        createdDateTime,
+        startDateTime: createdDateTime,
+        lifetimeInMinutes: 60,
+        isUsableOnce: true,
+        isUsable: false,
+        ...extra
+    };
+}
+
+test('el historial conserva los 10 TAPs más recientes al añadir uno', () => {
+    const manager = setup();
+    for (let day = 1; day <= 11; day++) {
+        manager.addToHistory(tap(day));
+    }
+
+    assert.equal(manager.tapHistory.length, 10);
+    assert.equal(manager.tapHistory[0].id, 'tap-2');
+    assert.equal(manager.tapHistory[9].id, 'tap-11');
+});
+
+test('la sincronización aplica el mismo límite a los TAPs que solo existen en el servidor', () => {
+    const manager = setup();
+    for (let day = 10; day <= 17; day++) {
+        manager.addToHistory(tap(day));
+    }
+
+    // El servidor conserva los locales y tiene otros cinco, tres de ellos más antiguos
+    const server = [10, 11, 12, 13, 14, 15, 16, 17, 1, 2, 3, 20, 21].map(day => tap(day));
+    manager.reconcileHistory(server);
+    manager.trimHistory();
+
+    assert.equal(manager.tapHistory.length, 10);
+    assert.deepEqual(plain(manager.tapHistory.map(item => item.id)), [
+        'tap-10', 'tap-11', 'tap-12', 'tap-13', 'tap-14', 'tap-15', 'tap-16', 'tap-17', 'tap-20', 'tap-21'
+    ]);
+    assert.equal(manager.tapHistory[9].serverOnly, true);
+});
+
+const POLICY = {
+    state: 'enabled',
+    minimumLifetimeInMinutes: 60,
+    maximumLifetimeInMinutes: 480,
+    defaultLifetimeInMinutes: 90,
+    isUsableOnce: false,
+    includeTargets: [{ id: 'grupo-tap' }],
+    excludeTargets: []
+};
+
+// Graph falso: get lee la política y post responde a checkMemberGroups; un Error se lanza en lugar de devolverse
+function setupPolicy({ policy = POLICY, memberGroups = ['grupo-tap'] } = {}) {
+    const errors = [];
+    const respond = value => (value instanceof Error ? Promise.reject(value) : Promise.resolve(value));
+    const manager = setup({
+        console: { ...console, warn() {} },
+        notifications: { error: message => errors.push(message) },
+        authManager: {
+            isAuthenticated: true,
+            graph: {
+                get: () => respond(policy),
+                post: () => respond(memberGroups instanceof Error ? memberGroups : { value: memberGroups })
+            }
+        }
+    });
+    return { manager, errors };
+}
+
+test('sin permiso para leer la política el formulario indica que no se ha podido comprobar', async () => {
+    const { manager } = setupPolicy({ policy: new Error('Forbidden') });
+
+    assert.equal(await manager.loadPolicy(), null);
+    assert.equal(manager.policyUnavailable, true);
+    assert.equal(manager.policyEnabledForUser, true);
+});
+
+test('un fallo al comprobar los grupos conserva los límites de la política', async () => {
+    const { manager, errors } = setupPolicy({ memberGroups: new Error('Forbidden') });
+
+    await manager.loadPolicy();
+
+    assert.equal(manager.policy.maximumLifetimeInMinutes, 480);
+    assert.equal(manager.policyUnavailable, false);
+    assert.equal(manager.policyEnabledForUser, true);
+    assert.deepEqual(errors, []);
+});
+
+test('las duraciones se calculan desde la lista completa e incluyen la predeterminada', async () => {
+    const { manager } = setupPolicy();
+    const values = [30, 60, 120, 480, 1440];
+
+    assert.deepEqual(plain(manager.getLifetimeOptions(values)), values);
+
+    await manager.loadPolicy();
+    assert.deepEqual(plain(manager.getLifetimeOptions(values)), [60, 90, 120, 480]);
+});
+
+test('el aviso de política deshabilitada solo se muestra una vez', async () => {
+    const { manager, errors } = setupPolicy({ memberGroups: [] });
+
+    await manager.loadPolicy();
+    manager.handleLocaleChanged();
+    await manager.loadPolicy();
+
+    assert.equal(manager.policyEnabledForUser, false);
+    assert.equal(errors.length, 1);
+});
@@ -0,0 +1,116 @@
+/**
+ * Pasos del Wizard Passwordless
+ * Pasos incluidos en el portal. Una organización añade los suyos registrándolos en
+ * window.wizardSteps desde su propio script y listando su id en config.json -> wizardSteps.
+ * Títulos, descripciones y etiquetas son claves de los catálogos de locales/.
+ */
+
+// Pasos del flujo por defecto: su contenido está en index.html
+window.wizardSteps.register({
+    id: 'verify',
+    title: 'wizard.steps.verify.title',
+    action: { label: 'wizard.steps.verify.action', run: context => context.manager.verifyRequirements() }
+});
+
+window.wizardSteps.register({
+    id: 'enroll',
+    title: 'wizard.steps.enroll.title',
+    onEnter: context => context.manager.renderEnrollmentPath(),
+    onLeave: context => context.manager.stopEnrollmentPolling()
+});
+
+window.wizardSteps.register({
+    id: 'validate',
+    title: 'wizard.steps.validate.title',
+    action: { label: 'wizard.steps.validate.action', run: context => context.manager.validateSetup() }
+});
+
+// Pasos opcionales: se activan añadiéndolos a config.json -> wizardSteps
+
+// Solo aparece si la cuenta conserva teléfonos y ya puede iniciar sesión sin contraseña
+window.wizardSteps.register({
+    id: 'removeSms',
+    title: 'wizard.steps.removeSms.title',
+    description: 'wizard.steps.removeSms.description',
+    skippable: true,
+    condition: context => context.passwordlessMethods.length > 0 &&
+        context.methods.some(method => method['@odata.type'] === '#microsoft.graph.phoneAuthenticationMethod'),
+    validator: context => !context.methods.some(method => method['@odata.type'] === '#microsoft.graph.phoneAuthenticationMethod'),
+    render: (container, context) => {
+        const phones = context.methods.filter(method => method['@odata.type'] === '#microsoft.graph.phoneAuthenticationMethod');
+
+        const { html } = window.htmlRenderer;
+        window.htmlRenderer.render(container, phones.length === 0
+            ? html`<p class="text-green-700"><i class="fas fa-check-circle mr-2"></i>${window.i18n.t('wizard.steps.removeSms.none')}</p>`
+            : html`<ul class="space-y-3">
+                ${phones.map((phone, index) => html`
+                    <li class="flex items-center justify-between bg-gray-50 rounded-lg p-4">
+                        <span><i class="fas fa-phone text-gray-500 mr-3"></i>${window.i18n.t('wizard.steps.removeSms.phone', {
+                            digits: (phone.phoneNumber || '').replace(/\D/g, '').slice(-3) || '—'
+                        })}</span>
+                        <button data-phone-index="${index}" class="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm font-semibold transition-colors">
+                            ${window.i18n.t('wizard.steps.removeSms.remove')}
+                        </button>
+                    </li>
+                `)}
+            </ul>`);
+
+        container.querySelectorAll('[data-phone-index]').forEach(button => {
+            const phone = phones[Number(button.dataset.phoneIndex)];
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                try {
+                    await window.authManager.graph.delete(`me/authentication/phoneMethods/${encodeURIComponent(phone.id)}`, {
+                        scopes: 'manageOwnMethods'
+                    });
+                    context.manager.showSuccess(window.i18n.t('wizard.steps.removeSms.removed'));
+                    await context.refresh();
+                } catch (error) {
+                    console.error('Error eliminando el teléfono:', error);
+                    context.manager.showError(window.i18n.t('wizard.steps.removeSms.removeError'));
+                    button.disabled = false;
+                }
+            });
+        });
+    }
+});
+
+// Solo aparece cuando la cuenta depende de un único método sin contraseña
+window.wizardSteps.register({
+    id: 'backupKey',
+    title: 'wizard.steps.backupKey.title',
+    description: 'wizard.steps.backupKey.description',
+    skippable: true,
+    condition: context => context.passwordlessMethods.length === 1,
+    validator: context => context.passwordlessMethods.length >= 2,
+    // La passkey se registra en Información de seguridad; el paso solo detecta la nueva
+    render: container => {
+        const { html } = window.htmlRenderer;
+        window.htmlRenderer.render(container, html`
+            <ol class="list-decimal list-inside space-y-2 text-gray-700">
+                <li>
+                    ${window.i18n.t('wizard.steps.backupKey.open')}
+                    <a href="https://aka.ms/mysecurityinfo" target="_blank" rel="noopener" class="text-blue-600 hover:text-blue-800 underline font-medium">${window.i18n.t('wizard.steps.backupKey.securityInfo')}</a>
+                </li>
+                <li>${window.i18n.t('wizard.steps.backupKey.add')}</li>
+                <li>${window.i18n.t('wizard.steps.backupKey.return')}</li>
+            </ol>
+        `);
+    },
+    action: {
+        label: 'wizard.steps.backupKey.action',
+        run: async context => {
+            try {
+                await context.refresh();
+                if (context.manager.getWizardContext().passwordlessMethods.length >= 2) {
+                    context.manager.showSuccess(window.i18n.t('wizard.steps.backupKey.registered'));
+                } else {
+                    context.manager.showInfo(window.i18n.t('wizard.steps.backupKey.notDetected'));
+                }
+            } catch (error) {
+                console.error('Error comprobando la passkey de respaldo:', error);
+                context.manager.showError(window.i18n.t('wizard.steps.backupKey.error'));
+            }
+        }
+    }
+});
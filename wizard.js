@@ -0,0 +1,139 @@
+/**
+ * Motor del Wizard Passwordless
+ * El flujo se define como una lista de pasos declarativos que cada organización puede ampliar
+ */
+
+// Flujo por defecto; config.json -> wizardSteps permite reordenarlo o incluir otros pasos registrados
+const DEFAULT_WIZARD_STEPS = ['verify', 'enroll', 'validate'];
+
+// Esquema de un paso:
+//   id           identificador único; su contenido es el elemento [data-step-content="<id>"]
+//   title        nombre corto para el indicador de progreso
+//   description  cabecera del paso cuando la página no incluye contenido propio para él
+//                (title, description y action.label: clave de catálogo o texto literal)
+//   condition    (context) => boolean: el paso forma parte del flujo de este usuario (opcional)
+//   validator    (context) => boolean: el paso está completo (por defecto, marcado como completado)
+//   action       { label, run(context) }: acción principal, asociada al botón [data-step-action]
+//   render       (container, context): contenido generado al entrar en el paso (opcional)
+//   onEnter / onLeave  (context): se ejecutan al mostrar u ocultar el paso (opcional)
+//   skippable    el usuario puede omitir el paso
+class WizardStepRegistry {
+    constructor() {
+        this.steps = new Map();
+    }
+
+    register(step) {
+        if (!step || !step.id || !step.title) {
+            throw new Error('Cada paso del wizard necesita id y title');
+        }
+        this.steps.set(step.id, step);
+    }
+
+    get(id) {
+        return this.steps.get(id) || null;
+    }
+}
+
+class WizardEngine {
+    constructor(registry, stepIds = DEFAULT_WIZARD_STEPS) {
+        this.registry = registry;
+        this.stepIds = stepIds;
+        this.steps = [];
+        this.currentIndex = 0;
+        this.completed = false;
+    }
+
+    setStepIds(stepIds) {
+        const unknown = stepIds.filter(id => !this.registry.get(id));
+        if (unknown.length > 0) {
+            console.warn(`Pasos del wizard no registrados: ${unknown.join(', ')}`);
+        }
+        this.stepIds = stepIds.filter(id => this.registry.get(id));
+    }
+
+    buildFlow(context) {
+        // Las condiciones se reevalúan con los métodos actuales del usuario
+        const currentId = this.currentStep ? this.currentStep.id : null;
+
+        this.steps = this.stepIds
+            .map(id => this.registry.get(id))
+            .filter(step => !step.condition || step.condition(context));
+
+        const index = currentId ? this.steps.findIndex(step => step.id === currentId) : -1;
+        if (index >= 0) {
+            this.currentIndex = index;
+        } else {
+            // El paso actual dejó de aplicar: su posición la ocupa el siguiente
+            this.currentIndex = Math.min(this.currentIndex, Math.max(this.steps.length - 1, 0));
+        }
+    }
+
+    get currentStep() {
+        return this.completed ? null : this.steps[this.currentIndex] || null;
+    }
+
+    get totalSteps() {
+        return this.steps.length;
+    }
+
+    isFirst() {
+        return this.currentIndex === 0;
+    }
+
+    isLast() {
+        return this.currentIndex >= this.steps.length - 1;
+    }
+
+    async isStepDone(step, context) {
+        if (context.progress.skippedSteps[step.id]) {
+            return true;
+        }
+        return step.validator
+            ? !!(await step.validator(context))
+            : !!context.progress.completedSteps[step.id];
+    }
+
+    advance(context) {
+        // Reconstruir el flujo antes de avanzar: completar un paso puede activar o descartar otros
+        const currentId = this.currentStep ? this.currentStep.id : null;
+        this.buildFlow(context);
+
+        const currentOrder = this.stepIds.indexOf(currentId);
+        const nextIndex = this.steps.findIndex(step => this.stepIds.indexOf(step.id) > currentOrder);
+
+        if (nextIndex < 0) {
+            this.complete();
+        } else {
+            this.currentIndex = nextIndex;
+        }
+    }
+
+    back() {
+        if (this.currentIndex > 0) {
+            this.currentIndex--;
+        }
+    }
+
+    goTo(stepId) {
+        const index = this.steps.findIndex(step => step.id === stepId);
+        if (index < 0) {
+            return false;
+        }
+        this.completed = false;
+        this.currentIndex = index;
+        return true;
+    }
+
+    complete() {
+        this.completed = true;
+        this.currentIndex = this.steps.length;
+    }
+
+    reset() {
+        this.completed = false;
+        this.currentIndex = 0;
+    }
+}
+
+// Registro global de pasos: los pasos incluidos y los de cada organización se registran aquí
+window.wizardSteps = new WizardStepRegistry();